@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 import { readFileSync } from 'node:fs';
-import { fileURLToPath } from 'node:url';
+import { fileURLToPath, pathToFileURL } from 'node:url';
 import path from 'node:path';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -15,9 +15,18 @@ Usage:
 
 Options:
   -t, --template <name>    Sentence template to use (default: "random")
+  -e, --min-entropy <bits> Chain templates until the phrase has at least this many bits of entropy
+                           (chooses from all templates, or only --template if given)
+  -x, --max-length <chars> Only generate phrases of at most this many characters, after the separator
+                           and mutator are applied (with --min-entropy, falls back to shorter templates
+                           if needed, from --template if given)
   -m, --mutator <name>     Mutator to apply, or "none" (default: "none")
   -s, --separator <chars>  String to join words with, eg "-" or "" (default: " ")
   -n, --count <number>     Number of phrases to generate (default: 5)
+  -u, --unique             Make every phrase of --count different from the others
+  -c, --common             Only use common words (fewer bits per word, so --min-entropy may add templates)
+  -p, --profile <name>     Generate for where the phrase will be typed, eg "mobile" for a phone keyboard
+  -r, --require <file>     Import a module first, eg. one that calls RPMutator.register() (repeatable)
   -l, --list                List available template and mutator names
   -v, --version             Print the version number
   -h, --help                Show this help
@@ -26,11 +35,17 @@ Examples:
   readable-passphrase
   readable-passphrase -t randomLong -m standard -n 3
   readable-passphrase -t normal -s - -n 1
+  readable-passphrase -t randomShort -n 500 -u
+  readable-passphrase -e 70 -m standard
+  readable-passphrase -x 32 -s -
+  readable-passphrase -c -e 60
+  readable-passphrase -p mobile -m standard
+  readable-passphrase -r ./house-style.js -m house
 `;
 
 function parseArgs(argv) {
-	const options = { template: 'random', mutator: 'none', separator: ' ', count: 5, help: false, list: false, version: false };
-	const aliases = { '-t': '--template', '-m': '--mutator', '-s': '--separator', '-n': '--count', '-l': '--list', '-v': '--version', '-h': '--help' };
+	const options = { template: undefined, minEntropy: undefined, maxLength: undefined, mutator: 'none', separator: ' ', count: 5, unique: false, common: false, profile: undefined, require: [], help: false, list: false, version: false };
+	const aliases = { '-t': '--template', '-e': '--min-entropy', '-x': '--max-length', '-m': '--mutator', '-s': '--separator', '-n': '--count', '-u': '--unique', '-c': '--common', '-p': '--profile', '-r': '--require', '-l': '--list', '-v': '--version', '-h': '--help' };
 
 	for (let i = 0; i < argv.length; i++) {
 		let arg = aliases[argv[i]] || argv[i];
@@ -45,6 +60,12 @@ function parseArgs(argv) {
 			case '--template':
 				options.template = value !== undefined ? value : argv[++i];
 				break;
+			case '--min-entropy':
+				options.minEntropy = Number(value !== undefined ? value : argv[++i]);
+				break;
+			case '--max-length':
+				options.maxLength = Number(value !== undefined ? value : argv[++i]);
+				break;
 			case '--mutator':
 				options.mutator = value !== undefined ? value : argv[++i];
 				break;
@@ -54,6 +75,18 @@ function parseArgs(argv) {
 			case '--count':
 				options.count = Number(value !== undefined ? value : argv[++i]);
 				break;
+			case '--unique':
+				options.unique = true;
+				break;
+			case '--common':
+				options.common = true;
+				break;
+			case '--profile':
+				options.profile = value !== undefined ? value : argv[++i];
+				break;
+			case '--require':
+				options.require.push(value !== undefined ? value : argv[++i]);
+				break;
 			case '--list':
 				options.list = true;
 				break;
@@ -99,14 +132,25 @@ async function main() {
 		return;
 	}
 
+	for (const file of options.require) {
+		try {
+			await import(pathToFileURL(path.resolve(file)).href);
+		} catch (err) {
+			console.error(`Could not load ${file}: ${err.message}`);
+			process.exitCode = 1;
+			return;
+		}
+	}
+
 	if (options.list) {
 		console.log('Templates:', ReadablePassphrase.templates().join(', '));
 		console.log('Mutators: ', ReadablePassphrase.mutators().join(', '));
+		console.log('Profiles: ', Object.keys(ReadablePassphrase.profiles).join(', '));
 		return;
 	}
 
 	const templates = ReadablePassphrase.templates();
-	if (!templates.includes(options.template)) {
+	if (options.template !== undefined && !templates.includes(options.template)) {
 		console.error(`Unknown template: "${options.template}". Available: ${templates.join(', ')}`);
 		process.exitCode = 1;
 		return;
@@ -125,10 +169,40 @@ async function main() {
 		return;
 	}
 
+	if (options.minEntropy !== undefined && (!Number.isFinite(options.minEntropy) || options.minEntropy < 0)) {
+		console.error(`--min-entropy must be a non-negative number of bits, got: "${options.minEntropy}"`);
+		process.exitCode = 1;
+		return;
+	}
+
+	if (options.maxLength !== undefined && (!Number.isInteger(options.maxLength) || options.maxLength < 1)) {
+		console.error(`--max-length must be a positive integer, got: "${options.maxLength}"`);
+		process.exitCode = 1;
+		return;
+	}
+
 	const mutator = options.mutator === 'none' ? undefined : options.mutator;
-	for (let i = 0; i < options.count; i++) {
-		console.log(new ReadablePassphrase(options.template, mutator).toString(options.separator));
+	let useTemplates;
+	if (options.template) useTemplates = [options.template];
+	else if (options.minEntropy === undefined) useTemplates = ['random']; // --min-entropy picks from all of them instead
+	let batch;
+	try {
+		batch = ReadablePassphrase.generateMany(options.count, {
+			minEntropy: options.minEntropy,
+			maxLength: options.maxLength,
+			templates: useTemplates,
+			mutator,
+			separator: options.separator,
+			unique: options.unique,
+			maxTier: options.common ? 1 : undefined,
+			profile: options.profile,
+		});
+	} catch (err) {
+		console.error(err.message);
+		process.exitCode = 1;
+		return;
 	}
+	batch.phrases.forEach((phrase) => console.log(phrase));
 }
 
 main();
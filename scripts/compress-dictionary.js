@@ -1,9 +1,12 @@
 import fs from 'fs';
 import path from 'path';
-import { compressNouns, compressVerbs } from './dictionary-compression.js';
+import { compressNouns, compressVerbs, compressTiers } from './dictionary-compression.js';
 import nounsSource from '../src/dictionary/source/nouns.js';
 import verbsSource from '../src/dictionary/source/verbs.js';
 import intransitiveVerbsSource from '../src/dictionary/source/intransitive-verbs.js';
+import { common, rare } from '../src/dictionary/source/tiers.js';
+import adjectives from '../src/dictionary/adjectives.js';
+import adverbs from '../src/dictionary/adverbs.js';
 
 const outDir = new URL('../src/dictionary/generated/', import.meta.url).pathname;
 fs.mkdirSync(outDir, { recursive: true });
@@ -15,3 +18,11 @@ function write(name, data) {
 write('nouns', compressNouns(nounsSource));
 write('verbs', compressVerbs(verbsSource));
 write('intransitive-verbs', compressVerbs(intransitiveVerbsSource));
+
+// nouns are tiered by their singular (or plural, if they have no singular) and verbs by their base form
+const [nouns] = compressTiers([nounsSource.map(([singular, plural]) => singular || plural)], common.nouns, rare.nouns);
+const verbKeys = [verbsSource, intransitiveVerbsSource].map((source) => source.map((tenses) => tenses[0]));
+const [verbs, intransitiveVerbs] = compressTiers(verbKeys, common.verbs, rare.verbs);
+const [adjectiveTiers] = compressTiers([adjectives], common.adjectives, rare.adjectives);
+const [adverbTiers] = compressTiers([adverbs], common.adverbs, rare.adverbs);
+write('tiers', { nouns, verbs, intransitiveVerbs, adjectives: adjectiveTiers, adverbs: adverbTiers });
@@ -45,3 +45,27 @@ export function compressVerbs(verbTenseArrays) {
 		return compressed.slice(0, length);
 	});
 }
+
+/**
+ *  Compress hand-assigned frequency tiers (see src/dictionary/source/tiers.js) into the compact form RPWordList and
+ *  RPWordListVerb take: a string per word list with one digit per entry, in the list's order - '1' for a common word,
+ *  '3' for a rare one and '2' for everything else.  Several lists can share one set of tiers (eg. the transitive and
+ *  intransitive verbs), so a tiered word only has to be in one of them.
+ *  @param {string[][]} keyLists - for each word list, the word each entry is tiered by, eg. a noun's singular
+ *  @param {string[]} common - tier 1 words
+ *  @param {string[]} rare - tier 3 words
+ *  @return {string[]} a string of tier digits for each list in keyLists
+ *  @throws {Error} if a word is in both tiers, or isn't in any of the lists (probably a typo)
+ */
+export function compressTiers(keyLists, common, rare) {
+	const tiers = new Map();
+	for (const [tier, words] of [['1', common], ['3', rare]]) {
+		for (const word of words) {
+			if (tiers.has(word)) throw new Error(`"${word}" is in more than one tier`);
+			tiers.set(word, tier);
+		}
+	}
+	const unknown = [...tiers.keys()].filter((word) => !keyLists.some((keys) => keys.includes(word)));
+	if (unknown.length) throw new Error(`Tiers list words that aren't in the dictionary: ${unknown.join(', ')}`);
+	return keyLists.map((keys) => keys.map((key) => tiers.get(key) || '2').join(''));
+}
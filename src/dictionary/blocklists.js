@@ -0,0 +1,17 @@
+// Sets of words to pass to RPWordList.block(). Verbs are given in their base form and nouns in the singular:
+// an entry is left out if any word of any of its forms matches, so 'murder' also covers 'has murdered'.
+
+// words and names a support team wouldn't want to read aloud to a customer
+export const familyFriendly = [
+	// adjectives and adverbs
+	'abusive', 'abusively', 'addicted', 'bitchy', 'bloodstained', 'crap', 'damned', 'drugged', 'evilly', 'homicidal', 'horny', 'lecherous', 'lustful', 'lusty', 'misogynic', 'naked',
+	'nude', 'oversexed', 'profanely', 'queer', 'racist', 'retarded', 'sadistic', 'sexist', 'sexy',
+	// nouns and names
+	'abuser', 'addict', 'adulterer', 'bigamist', 'bitch', 'bomb', 'bomber', 'booby', 'booze', 'bosom', 'breast', 'bum', 'buttock', 'cannibal', 'chink', 'cocaine',
+	'condom', 'corpse', 'drug', 'drunkard', 'evildoer', 'gunman', 'gunrunner', 'gypsy', 'hangman', 'hitler', 'homicide', 'imbecile', 'masochist', 'murderer',
+	'murderess', 'narcotic', 'nazi', 'negroid', 'penis', 'profanity', 'retard', 'sadist', 'satan', 'seducer', 'slave', 'slaver', 'slut', 'smuggler', 'sodom', 'suicide',
+	'terrorist', 'thug', 'torturer', 'urinal', 'urine', 'virgin',
+	// verbs
+	'abort', 'damn', 'enslave', 'excrete', 'execute', 'fart', 'firebomb', 'flog', 'lust', 'lynch', 'maim', 'molest', 'murder', 'pervert', 'revile', 'seduce', 'smuggle',
+	'stab', 'strangle', 'terrorise', 'torture', 'urinate', 'vomit',
+];
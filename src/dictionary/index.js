@@ -5,15 +5,16 @@ import adverbs from './adverbs.js';
 import speechVerbs from './speech-verbs.js';
 import properNouns from './proper-nouns.js';
 import prepositions from './prepositions.js';
-import { numbers, indefinitePronouns, conjunctions, personalPronouns, demonstratives, interrogatives, articles } from './small-lists.js';
+import { numbers, indefinitePronouns, conjunctions, personalPronouns, demonstratives, interrogatives, relativePronouns, articles, adjectiveOrder } from './small-lists.js';
 
-// nouns/verbs/intransitive-verbs are generated at build/test time (see scripts/compress-dictionary.js)
+// nouns/verbs/intransitive-verbs/tiers are generated at build/test time (see scripts/compress-dictionary.js)
 // from the human-edited, fully-spelled-out source in src/dictionary/source/*.js. Run
 // `npm run compress-dictionary` (or `npm run build` / `npm test`, which do it for you) if these
 // imports fail to resolve.
 import nouns from './generated/nouns.js';
 import intransitiveVerbs from './generated/intransitive-verbs.js';
 import verbs from './generated/verbs.js';
+import tiers from './generated/tiers.js';
 
 // Populates the RPWordList.* dictionary registry used throughout the engine.
 // Imported once (for its side effects) by src/index.js before anything else runs.
@@ -23,13 +24,15 @@ RPWordList.conjunctions = new RPWordList('conjunction', conjunctions);
 RPWordList.personalPronouns = new RPWordListPlural('personalPronoun', personalPronouns);
 RPWordList.demonstratives = new RPWordListPlural('demonstrative', demonstratives);
 RPWordList.interrogatives = new RPWordListPlural('interrogative', interrogatives);
+RPWordList.relativePronouns = new RPWordList('relativePronoun', relativePronouns);
 RPWordList.articles = new RPWordListArticle(articles);
 
-RPWordList.adjectives = new RPWordList('adjective', adjectives);
-RPWordList.adverbs = new RPWordList('adverb', adverbs);
+RPWordList.adjectives = new RPWordList('adjective', adjectives, tiers.adjectives);
+RPWordList.adjectiveOrder = adjectiveOrder; // not a word list: the order several adjectives go in (see small-lists.js)
+RPWordList.adverbs = new RPWordList('adverb', adverbs, tiers.adverbs);
 RPWordList.speechVerbs = new RPWordList('speechVerb', speechVerbs);
 RPWordList.properNouns = new RPWordList('properNoun', properNouns);
 RPWordList.prepositions = new RPWordList('preposition', prepositions);
-RPWordList.nouns = new RPWordListPlural('noun', nouns);
-RPWordList.intransitiveVerbs = new RPWordListVerb('intransitive', intransitiveVerbs);
-RPWordList.verbs = new RPWordListVerb('transitive', verbs);
+RPWordList.nouns = new RPWordListPlural('noun', nouns, tiers.nouns);
+RPWordList.intransitiveVerbs = new RPWordListVerb('intransitive', intransitiveVerbs, tiers.intransitiveVerbs);
+RPWordList.verbs = new RPWordListVerb('transitive', verbs, tiers.verbs);
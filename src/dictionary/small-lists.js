@@ -30,4 +30,18 @@ export const interrogatives = [
 	['should', 'should'],
 ];
 
+export const relativePronouns = ['that'];
+
 export const articles = [{ definite: 'the', indefiniteBeforeVowel: 'an', indefinite: 'a' }];
+
+// Adjectives that come in a fixed order before a noun ("a big old round red wooden box"), in groups from
+// first to last: size, age, shape, colour, origin, material.  Any adjective not listed is an opinion or
+// a general description, which comes before all of these.
+export const adjectiveOrder = [
+	['big', 'small', 'large', 'tiny', 'huge', 'little', 'tall', 'long', 'wide', 'narrow', 'massive', 'thick', 'thin', 'slim', 'broad', 'deep', 'heavy', 'light', 'high', 'low', 'jumbo', 'immense', 'colossal', 'gigantic', 'towering'],
+	['old', 'new', 'young', 'modern', 'antique', 'aged', 'recent', 'vintage', 'mature', 'stale'],
+	['round', 'flat', 'oval', 'curved', 'crooked', 'spherical', 'hollow', 'bent', 'jagged', 'cubic', 'angular'],
+	['red', 'green', 'yellow', 'black', 'white', 'brown', 'pink', 'purple', 'golden', 'crimson', 'scarlet', 'teal', 'turquoise', 'azure', 'emerald', 'indigo', 'peach', 'tawny', 'umber', 'blond', 'blonde', 'ashen', 'pale', 'dark'],
+	['arctic', 'lunar', 'solar'],
+	['wooden', 'metal', 'plastic', 'velvet', 'cotton', 'leather', 'glass', 'paper', 'iron', 'steel', 'nylon', 'ceramic', 'tin', 'bronze', 'crystal'],
+];
@@ -0,0 +1,615 @@
+// How common each noun, verb, adjective and adverb is, for RPWordList.setWordBounds({ maxTier }). Tier 1 is words most
+// people use every week, tier 3 is ones many people would have to look up, and anything not listed here is tier 2.
+// The tiers were assigned by hand (there's no word-frequency corpus behind them), so move a word if it's in the wrong
+// one.  Nouns are listed by their singular (or plural, for plural-only nouns), verbs by their base form, which covers
+// both the transitive and intransitive lists.  scripts/compress-dictionary.js turns these into a tier per entry.
+
+// tier 1
+export const common = {
+	nouns: [
+		'academy', 'accessory', 'acid', 'acorn', 'acrobat', 'activist', 'addict', 'admiral', 'advert', 'adviser',
+		'aerospace', 'air', 'airport', 'alarm', 'album', 'ale', 'alliance', 'ally', 'altar', 'amateur', 'amount', 'anatomy',
+		'anchor', 'android', 'angel', 'angle', 'ant', 'antique', 'appetite', 'apricot', 'arena', 'arm', 'army', 'aroma',
+		'arrival', 'arrow', 'art', 'article', 'artwork', 'ash', 'aspirin', 'asteroid', 'athlete', 'attack', 'attacker',
+		'auction', 'audience', 'author', 'avatar', 'award', 'axe', 'baby', 'backache', 'backpack', 'backyard', 'bait',
+		'bakery', 'balcony', 'ball', 'ballet', 'ballot', 'band', 'bandwidth', 'banjo', 'banquet', 'bar', 'barbell',
+		'bargain', 'bark', 'barrel', 'basil', 'bat', 'batch', 'bath', 'bathroom', 'beach', 'beacon', 'bead', 'beak', 'bear',
+		'beaver', 'beef', 'beehive', 'bell', 'belt', 'bench', 'benefit', 'berry', 'bicycle', 'bingo', 'bird', 'birth',
+		'biscuit', 'bison', 'blackbird', 'blackout', 'bladder', 'blanket', 'bleach', 'blender', 'blind', 'blog', 'blood',
+		'blossom', 'blueprint', 'board', 'bolt', 'bomb', 'bomber', 'bone', 'bonfire', 'book', 'boom', 'boomerang', 'boot',
+		'booth', 'bottle', 'bottom', 'boulder', 'bouquet', 'bow', 'bowl', 'box', 'bra', 'bracelet', 'braid', 'brain',
+		'branch', 'brand', 'brandy', 'brawl', 'breakfast', 'breath', 'breeze', 'brick', 'bride', 'bridge', 'broom', 'broth',
+		'brother', 'brownie', 'brunch', 'bucket', 'bud', 'budget', 'bug', 'builder', 'bull', 'bulldozer', 'bullet', 'bunch',
+		'bundle', 'bungalow', 'bunk', 'bunker', 'burden', 'burglar', 'burial', 'burn', 'bush', 'butcher', 'butter',
+		'button', 'byte', 'cab', 'cable', 'cactus', 'cadet', 'cafe', 'cafeteria', 'cage', 'cake', 'calorie', 'camp',
+		'camper', 'campfire', 'can', 'can opener', 'cancer', 'candidate', 'cannon', 'canon', 'canopy', 'canteen', 'canvas',
+		'capsule', 'car', 'career', 'carriage', 'cart', 'cartridge', 'case', 'cash', 'cashew', 'cashier', 'cassette',
+		'cast', 'cat', 'catcher', 'category', 'catfish', 'cattle', 'cause', 'cave', 'caveman', 'cavern', 'cedar', 'ceiling',
+		'celery', 'cell', 'cement', 'census', 'certificate', 'chain', 'chair', 'chairman', 'chalk', 'challenge',
+		'champagne', 'champion', 'chance', 'channel', 'chapel', 'chapter', 'charge', 'chariot', 'chart', 'chase',
+		'checklist', 'cheek', 'chef', 'chemical', 'chemist', 'chess', 'chestnut', 'chicken', 'childcare', 'chimney', 'chip',
+		'choir', 'chorus', 'church', 'cinema', 'circle', 'circuit', 'citizen', 'civilian', 'clam', 'clamp', 'clarinet',
+		'class', 'classic', 'classmate', 'claw', 'clay', 'cleaner', 'cleanup', 'clerk', 'climber', 'clip', 'cloak',
+		'closet', 'cloth', 'clover', 'clown', 'club', 'coast', 'coat', 'cockpit', 'cocoa', 'code', 'coffin', 'coil', 'coin',
+		'cold', 'coleslaw', 'collage', 'collar', 'collector', 'colonel', 'colony', 'column', 'comedian', 'comet', 'comic',
+		'commander', 'commando', 'communist', 'compass', 'competitor', 'composer', 'condition', 'condo', 'condom',
+		'congress', 'contest', 'cookbook', 'cooler', 'cop', 'copy', 'copycat', 'cord', 'core', 'corn', 'corner', 'corpse',
+		'cost', 'cotton', 'couch', 'counter', 'country', 'couple', 'courier', 'course', 'court', 'cow', 'coworker',
+		'coyote', 'crab', 'crack', 'cradle', 'crash', 'crate', 'crater', 'cream', 'creation', 'credit', 'crisis',
+		'crocodile', 'crop', 'crossbow', 'crossfire', 'crosswalk', 'crow', 'crowd', 'cruiser', 'crumb', 'crust', 'crystal',
+		'cub', 'cube', 'cue', 'cuff', 'cuisine', 'cup', 'cupboard', 'cupcake', 'curb', 'curfew', 'current', 'cushion',
+		'custom', 'cutlet', 'cycle', 'cyclist', 'dad', 'daffodil', 'daisy', 'dance', 'danger', 'dart', 'database', 'dawn',
+		'day', 'daydream', 'deal', 'dealer', 'debt', 'debut', 'decade', 'decimal', 'decision', 'deck', 'decoration', 'deed',
+		'defect', 'delivery', 'demon', 'dent', 'dentist', 'deodorant', 'depth', 'deputy', 'desert', 'designer', 'desk',
+		'destiny', 'detail', 'detergent', 'developer', 'device', 'devil', 'diagram', 'dialogue', 'diaper', 'diary',
+		'dictator', 'diet', 'dilemma', 'dimension', 'dimple', 'dinner', 'dip', 'direction', 'director', 'dirt', 'disaster',
+		'disc', 'disco', 'disease', 'disguise', 'dish', 'display', 'dispute', 'district', 'diver', 'divorce', 'dock',
+		'doctor', 'doll', 'dollar', 'dome', 'domino', 'donation', 'doodle', 'doorknob', 'doormat', 'dorm', 'dormitory',
+		'dose', 'dot', 'dough', 'dove', 'draft', 'dragon', 'drain', 'drama', 'dream', 'dresser', 'drill', 'drink',
+		'drinker', 'driver', 'driveway', 'drizzle', 'drone', 'drug', 'drumstick', 'drunk', 'duck', 'duel', 'duke', 'dump',
+		'dumpling', 'dusk', 'dust', 'dustpan', 'ear', 'earache', 'earlobe', 'earthquake', 'economy', 'edge', 'edition',
+		'editor', 'effort', 'ego', 'elbow', 'elder', 'election', 'element', 'elevator', 'elf', 'emblem', 'embryo',
+		'emerald', 'empire', 'employee', 'employer', 'encounter', 'enemy', 'entrance', 'envy', 'era', 'eraser', 'errand',
+		'espresso', 'essay', 'estimate', 'eternity', 'evergreen', 'evidence', 'exam', 'example', 'exhibit', 'expert',
+		'exploit', 'expo', 'export', 'exposure', 'extra', 'eye', 'eyeball', 'eyelid', 'eyesore', 'fable', 'face', 'fact',
+		'factor', 'failure', 'falcon', 'famine', 'fare', 'farm', 'farmer', 'fax', 'fear', 'feast', 'feather', 'feature',
+		'fellow', 'fence', 'ferry', 'fiance', 'fiddle', 'fifteen', 'fig', 'fight', 'fighter', 'film', 'fin', 'finale',
+		'finance', 'fire', 'firearm', 'fireball', 'fireman', 'firewood', 'firm', 'fish', 'fishbowl', 'fisherman', 'fixer',
+		'fixture', 'flag', 'flake', 'flamingo', 'flannel', 'flask', 'flat', 'flea', 'fleece', 'flight', 'float', 'flock',
+		'flood', 'floor', 'florist', 'flour', 'flower', 'flu', 'flute', 'fly', 'foal', 'foam', 'foe', 'fog', 'folder',
+		'font', 'fool', 'foot', 'footpath', 'footstep', 'force', 'forearm', 'forest', 'forge', 'fort', 'fortnight',
+		'fortress', 'fortune', 'founder', 'fountain', 'foyer', 'fraction', 'franchise', 'freeway', 'fridge', 'front',
+		'fruit', 'fuel', 'fugitive', 'funnel', 'fur', 'fuse', 'future', 'galaxy', 'gallery', 'galley', 'game', 'gap',
+		'garage', 'garlic', 'garment', 'gas', 'gate', 'gazebo', 'gazelle', 'gear', 'geek', 'gem', 'gemstone', 'genetics',
+		'genie', 'genius', 'gentleman', 'gerbil', 'germ', 'getaway', 'geyser', 'ghost', 'giant', 'gig', 'gimmick',
+		'gladiator', 'glass', 'glider', 'glory', 'glove', 'glue', 'gnome', 'goalie', 'goat', 'goatee', 'goodwill', 'goose',
+		'gopher', 'gospel', 'governor', 'graffiti', 'grain', 'grammar', 'grandma', 'granny', 'grant', 'graphics', 'grass',
+		'grave', 'gravel', 'gravity', 'gravy', 'grease', 'greenery', 'grid', 'grill', 'groove', 'group', 'guardian',
+		'guess', 'guest', 'guide', 'guideline', 'gull', 'gum', 'gun', 'gunfight', 'guru', 'gut', 'guy', 'hack', 'hacksaw',
+		'hailstorm', 'hair', 'hairpin', 'half', 'halftime', 'halo', 'hamlet', 'hammer', 'hammock', 'hamster', 'hand',
+		'handball', 'handrail', 'handyman', 'hanger', 'hangout', 'hardware', 'harmony', 'hat', 'hawk', 'hay', 'hazard',
+		'hazelnut', 'headline', 'headrest', 'headset', 'headstone', 'heap', 'heartbeat', 'hearth', 'heat', 'hedge', 'helm',
+		'helmet', 'hen', 'herb', 'herring', 'hexagon', 'highway', 'hill', 'hippo', 'hive', 'hobby', 'hole', 'hologram',
+		'holster', 'home', 'homeland', 'homework', 'honeybee', 'honeycomb', 'hook', 'hoop', 'hormone', 'horn', 'horse',
+		'horseshoe', 'host', 'hostage', 'hostel', 'hotel', 'hound', 'hourglass', 'house', 'household', 'housing', 'huddle',
+		'human', 'hunch', 'hundred', 'hurricane', 'husband', 'hydrant', 'hydrogen', 'hyena', 'iceberg', 'icebox', 'icon',
+		'idea', 'identity', 'idiom', 'idol', 'igloo', 'iguana', 'illness', 'image', 'impact', 'index', 'industry', 'infant',
+		'inhaler', 'injury', 'insect', 'inspector', 'insulation', 'intern', 'introvert', 'intruder', 'invasion', 'invoice',
+		'irony', 'island', 'issue', 'jack', 'jacket', 'jail', 'jam', 'jaw', 'jeep', 'jelly', 'jellybean', 'jersey', 'jewel',
+		'jigsaw', 'jockey', 'joke', 'journey', 'joy', 'joyride', 'judge', 'jug', 'juice', 'jumbo', 'jumpsuit', 'junk',
+		'juror', 'jury', 'kale', 'karma', 'kebab', 'keeper', 'kettle', 'key', 'keyword', 'kickoff', 'kid', 'kimono',
+		'kiosk', 'kiss', 'kit', 'kitchen', 'kitten', 'knee', 'kneecap', 'knife', 'knight', 'knitting', 'knob', 'knot',
+		'knuckle', 'label', 'lace', 'lad', 'ladle', 'lady', 'lake', 'lamb', 'lamppost', 'landlord', 'language', 'lantern',
+		'lap', 'lapel', 'laser', 'latitude', 'lawsuit', 'lawyer', 'layer', 'layout', 'leaf', 'league', 'lecture', 'ledger',
+		'leg', 'lemon', 'lemonade', 'length', 'lentil', 'leotard', 'letter', 'lettuce', 'liability', 'liar', 'license',
+		'life', 'lifeboat', 'lift', 'lighter', 'lime', 'limerick', 'limo', 'line', 'lip', 'liquid', 'liquor', 'list',
+		'listener', 'liver', 'lizard', 'llama', 'load', 'loaf', 'local', 'lock', 'locker', 'lodge', 'loft', 'log',
+		'longitude', 'lookout', 'loop', 'lord', 'lorry', 'loser', 'lottery', 'lounge', 'lover', 'lunatic', 'lunch',
+		'lunchtime', 'luxury', 'machete', 'machine', 'magma', 'magpie', 'mailman', 'major', 'maker', 'malaria', 'mall',
+		'mama', 'mammoth', 'man', 'mankind', 'mansion', 'map', 'marathon', 'market', 'mascara', 'mask', 'mast', 'mat',
+		'material', 'maths', 'matter', 'mattress', 'mayor', 'maze', 'meadow', 'meal', 'meat', 'meatloaf', 'medal',
+		'medicine', 'meeting', 'melon', 'member', 'mentor', 'mermaid', 'message', 'meteor', 'meteorite', 'meter', 'method',
+		'middle', 'midwife', 'mile', 'milestone', 'militia', 'milk', 'milkman', 'mill', 'mind', 'mine', 'mineral',
+		'minibus', 'minister', 'ministry', 'mint', 'minute', 'mission', 'mistake', 'mister', 'mitten', 'mixer', 'mixture',
+		'moat', 'model', 'moisture', 'molecule', 'moment', 'monarchy', 'money', 'monk', 'monkey', 'monologue', 'monument',
+		'mood', 'moon', 'moose', 'mop', 'moped', 'mortal', 'mosque', 'mother', 'motor', 'motorboat', 'motorist', 'motorway',
+		'motto', 'mountain', 'mouse', 'mousse', 'mouth', 'mouthful', 'mouthwash', 'movie', 'mud', 'muffler', 'mug', 'mum',
+		'mummy', 'murderer', 'mushroom', 'mutiny', 'nation', 'necessity', 'neck', 'nectar', 'needle', 'nephew', 'nest',
+		'net', 'newbie', 'newborn', 'news', 'newspaper', 'night', 'nightcap', 'noise', 'nominee', 'noodle', 'nose',
+		'notice', 'novel', 'novelist', 'nucleus', 'number', 'nun', 'nurse', 'nut', 'oak', 'oath', 'obsession', 'obstacle',
+		'occasion', 'office', 'officer', 'oil', 'ointment', 'olive', 'omen', 'onion', 'opera', 'operation', 'opponent',
+		'optimist', 'option', 'orbit', 'orchard', 'orchid', 'organ', 'orphan', 'otter', 'outbreak', 'outlaw', 'outline',
+		'outrage', 'oval', 'overcoat', 'overdose', 'owl', 'owner', 'oxygen', 'pacifier', 'pack', 'package', 'packet', 'pad',
+		'padlock', 'page', 'pageant', 'pager', 'pail', 'pair', 'palace', 'palm', 'pamphlet', 'pan', 'pancake', 'panda',
+		'pandemic', 'panther', 'pantry', 'paperwork', 'parachute', 'parade', 'paradise', 'paradox', 'paragraph', 'parakeet',
+		'parcel', 'parent', 'park', 'parka', 'parody', 'parrot', 'part', 'partner', 'party', 'passage', 'passerby',
+		'passport', 'password', 'paste', 'pastor', 'pasture', 'patch', 'path', 'patio', 'patriot', 'patrol', 'paw',
+		'payday', 'pea', 'peach', 'pear', 'pebble', 'pedal', 'pen', 'pendant', 'pendulum', 'penguin', 'pension',
+		'percentage', 'performer', 'perfume', 'person', 'pet', 'petition', 'petrol', 'phantom', 'pharmacy', 'phone',
+		'photo', 'photograph', 'phrase', 'physicist', 'physics', 'piano', 'pickaxe', 'pickle', 'picnic', 'picture', 'pie',
+		'pier', 'pig', 'pigeon', 'piglet', 'pile', 'pilgrim', 'pill', 'pillow', 'pilot', 'pin', 'pinball', 'pine',
+		'pipeline', 'piranha', 'pirate', 'pistachio', 'pistol', 'pit', 'pixel', 'place', 'plague', 'planner', 'plant',
+		'plaster', 'plastic', 'plate', 'platform', 'player', 'playoff', 'playroom', 'pliers', 'plot', 'plug', 'plumber',
+		'pocket', 'podium', 'poet', 'poker', 'pole', 'police', 'policeman', 'politics', 'poll', 'pollution', 'poncho',
+		'ponytail', 'porch', 'porcupine', 'pork', 'port', 'porter', 'position', 'post', 'postcard', 'postman', 'pot',
+		'potato', 'potter', 'pottery', 'pouch', 'pound', 'powder', 'power', 'prank', 'prankster', 'prawn', 'prayer',
+		'preacher', 'predator', 'presence', 'present', 'presenter', 'president', 'press', 'preview', 'prey', 'price',
+		'prince', 'print', 'prize', 'pro', 'process', 'produce', 'profile', 'profit', 'program', 'project', 'promise',
+		'property', 'proposal', 'prototype', 'pub', 'puck', 'puddle', 'pullover', 'pump', 'pun', 'puppet', 'puppy',
+		'purchase', 'purpose', 'pyramid', 'quail', 'quantum', 'quarrel', 'quarry', 'queen', 'query', 'quest', 'queue',
+		'quilt', 'quota', 'race', 'racer', 'racetrack', 'rack', 'racket', 'radar', 'radio', 'radish', 'radius', 'rag',
+		'raid', 'rail', 'rain', 'rainbow', 'rainwater', 'raisin', 'rally', 'ram', 'ranger', 'rank', 'rapper', 'rascal',
+		'rash', 'rate', 'ravine', 'ray', 'razor', 'reaction', 'reactor', 'reader', 'receipt', 'recess', 'recipe',
+		'recliner', 'record', 'rectangle', 'redwood', 'reef', 'referee', 'refugee', 'rehearsal', 'reindeer', 'relation',
+		'relative', 'relay', 'release', 'religion', 'remark', 'reminder', 'remote', 'rental', 'replay', 'replica',
+		'reporter', 'reservoir', 'residence', 'resource', 'response', 'result', 'retailer', 'retreat', 'review', 'revolver',
+		'rhyme', 'rhythm', 'rib', 'ride', 'rim', 'rink', 'risk', 'ritual', 'rivalry', 'robe', 'robot', 'rock', 'rodent',
+		'rogue', 'room', 'roommate', 'root', 'rose', 'route', 'router', 'routine', 'row', 'royalty', 'rubbish', 'rubble',
+		'rucksack', 'rug', 'rugby', 'ruin', 'rule', 'ruler', 'runaway', 'runner', 'saddle', 'safari', 'safe', 'safeguard',
+		'saint', 'salami', 'salsa', 'salt', 'sample', 'sand', 'sandbag', 'sandbox', 'sapphire', 'sardine', 'satchel',
+		'sauce', 'saucer', 'sauna', 'sausage', 'savings', 'sawdust', 'scale', 'scalpel', 'scam', 'scandal', 'scapegoat',
+		'scar', 'scarf', 'scavenger', 'scenery', 'scent', 'schedule', 'scholar', 'school', 'schoolboy', 'scissor', 'scoop',
+		'scooter', 'score', 'scout', 'scratch', 'screen', 'screw', 'scribble', 'sea', 'seabed', 'seafood', 'seal',
+		'seashell', 'seashore', 'seaside', 'season', 'secret', 'secretary', 'section', 'sedan', 'seed', 'seesaw',
+		'semicolon', 'semifinal', 'senator', 'sensation', 'sensor', 'sequence', 'serial', 'servant', 'server', 'setback',
+		'settler', 'seventy', 'shade', 'shadow', 'shampoo', 'shark', 'sheep', 'sheet', 'shell', 'shellfish', 'shelter',
+		'shin', 'shipwreck', 'shirt', 'shock', 'shopper', 'shortage', 'shortstop', 'shotgun', 'shovel', 'show', 'showcase',
+		'shower', 'shrimp', 'sibling', 'sidekick', 'sidewalk', 'sign', 'signal', 'signature', 'silk', 'singer', 'sink',
+		'sinner', 'siren', 'sister', 'sitcom', 'site', 'situation', 'sketch', 'skill', 'skin', 'skull', 'sky', 'skydiver',
+		'skylight', 'slang', 'slave', 'sleep', 'sleeve', 'sleigh', 'slide', 'slipper', 'slogan', 'smell', 'smoke',
+		'smuggler', 'snack', 'snail', 'snake', 'snapshot', 'sneaker', 'sniper', 'snob', 'snow', 'soap', 'sofa', 'softball',
+		'soil', 'soldier', 'solo', 'solution', 'sorrow', 'soup', 'space', 'spaghetti', 'spark', 'sparrow', 'speaker',
+		'spear', 'speedboat', 'sphere', 'spice', 'spider', 'spike', 'spine', 'spiral', 'spirit', 'sponge', 'spoon', 'spot',
+		'spotlight', 'spouse', 'spring', 'sprout', 'stable', 'stack', 'stadium', 'staff', 'stage', 'stair', 'stake',
+		'stallion', 'start', 'starter', 'station', 'steak', 'step', 'steward', 'sticker', 'stitch', 'stone', 'stork',
+		'stowaway', 'stranger', 'strap', 'straw', 'stream', 'street', 'string', 'stroller', 'structure', 'student', 'stuff',
+		'stump', 'stunt', 'stuntman', 'subject', 'submarine', 'subway', 'suffix', 'sugar', 'suit', 'suite', 'summer',
+		'summit', 'sun', 'sunbeam', 'sunblock', 'sunshine', 'supplier', 'supply', 'surf', 'surface', 'surfer', 'surname',
+		'survivor', 'swamp', 'swarm', 'sweet', 'swimmer', 'swing', 'switch', 'symbol', 'syrup', 'system', 'tab', 'tabloid',
+		'tackle', 'taco', 'tadpole', 'tag', 'tail', 'taillight', 'tailor', 'talent', 'tangerine', 'tape', 'tar',
+		'tarantula', 'target', 'task', 'taste', 'tattoo', 'taxes', 'taxi', 'teacher', 'team', 'teammate', 'tear',
+		'technique', 'telegram', 'telephone', 'temple', 'tenant', 'tent', 'tentacle', 'tequila', 'terminal', 'terrace',
+		'terror', 'terrorist', 'test', 'text', 'texture', 'theft', 'theme', 'theory', 'therapist', 'thermos', 'thief',
+		'thirty', 'thought', 'threat', 'thriller', 'thumb', 'thumbnail', 'tiara', 'tide', 'toad', 'toast', 'tobacco', 'toe',
+		'toilet', 'token', 'tomato', 'tomb', 'tomboy', 'tone', 'tongue', 'tonic', 'toolbar', 'toolkit', 'tooth',
+		'toothpick', 'torch', 'tornado', 'torso', 'tortoise', 'total', 'tourist', 'towel', 'tower', 'toy', 'track',
+		'tractor', 'trader', 'tragedy', 'trail', 'trainer', 'traitor', 'trap', 'trash', 'tray', 'treasure', 'treat',
+		'trench', 'trend', 'triangle', 'tribe', 'trick', 'tricycle', 'trilogy', 'triplet', 'trolley', 'trouser', 'truck',
+		'trucker', 'truffle', 'tsunami', 'tuba', 'tube', 'tugboat', 'tuna', 'tune', 'tunnel', 'turban', 'turf', 'turnover',
+		'tutor', 'tutorial', 'tweet', 'twig', 'twin', 'tycoon', 'typhoon', 'typo', 'underwear', 'unicorn', 'uniform',
+		'unit', 'universe', 'utility', 'vacancy', 'vacation', 'vaccine', 'valley', 'van', 'vandal', 'variety', 'vehicle',
+		'veil', 'vending machine', 'venom', 'vessel', 'vet', 'veteran', 'victim', 'victory', 'video', 'viewpoint',
+		'villain', 'vine', 'vinegar', 'vineyard', 'violence', 'violin', 'violinist', 'vision', 'visit', 'vitamin', 'voice',
+		'volcano', 'vortex', 'vote', 'voter', 'voucher', 'voyage', 'wafer', 'wage', 'waist', 'waiter', 'walkway', 'walnut',
+		'walrus', 'war', 'warrant', 'warrior', 'warship', 'water', 'wave', 'wax', 'way', 'weasel', 'weather', 'web', 'week',
+		'weekend', 'weight', 'whale', 'wheat', 'wheel', 'whisker', 'whistle', 'widow', 'widower', 'wiki', 'wildcat', 'win',
+		'windpipe', 'winner', 'winter', 'wire', 'witch', 'witness', 'wolf', 'wombat', 'wood', 'woodland', 'word',
+		'workload', 'workout', 'world', 'wound', 'wreck', 'wreckage', 'wrestler', 'wrinkle', 'wristband', 'yacht', 'yard',
+		'youth', 'zero', 'zigzag', 'zipper', 'zombie', 'zoo',
+	],
+	verbs: [
+		'absorb', 'accompany', 'acquire', 'adapt', 'add', 'adjust', 'admire', 'admit', 'adopt', 'adore', 'advance',
+		'advise', 'afford', 'agree', 'aid', 'alarm', 'allow', 'alter', 'ambush', 'amuse', 'anger', 'appear', 'applaud',
+		'apply', 'approve', 'argue', 'arise', 'arrange', 'arrest', 'arrive', 'ask', 'assign', 'assist', 'attack', 'attend',
+		'avoid', 'await', 'awake', 'award', 'babysit', 'bake', 'bandage', 'bank', 'barbecue', 'bark', 'bathe', 'battle',
+		'beat', 'befriend', 'beg', 'begin', 'believe', 'benefit', 'betray', 'bill', 'bite', 'blame', 'blast', 'bleach',
+		'bleed', 'blend', 'blind', 'blog', 'blush', 'boil', 'bolt', 'bomb', 'book', 'boost', 'borrow', 'bother', 'bottle',
+		'bounce', 'bow', 'brag', 'brake', 'brave', 'break', 'brew', 'bribe', 'brighten', 'bring', 'brown', 'brush', 'bug',
+		'build', 'bump', 'burn', 'bury', 'buy', 'calm', 'camp', 'cancel', 'carry', 'carve', 'cast', 'cause', 'celebrate',
+		'chain', 'challenge', 'charge', 'chart', 'chase', 'cheat', 'check', 'cheer', 'choke', 'choose', 'chop', 'circle',
+		'claim', 'clap', 'clash', 'clean', 'clear', 'click', 'climb', 'clip', 'collect', 'collide', 'combine', 'come',
+		'comfort', 'compare', 'compete', 'compile', 'complete', 'compose', 'compress', 'conceal', 'concern', 'conduct',
+		'confess', 'confuse', 'connect', 'conquer', 'consider', 'construct', 'consult', 'control', 'convince', 'cook',
+		'cool', 'copy', 'correct', 'count', 'crash', 'crave', 'crawl', 'create', 'crouch', 'crowd', 'crunch', 'cuddle',
+		'cure', 'cut', 'cycle', 'dance', 'dare', 'dash', 'decide', 'decorate', 'decrease', 'defeat', 'defend', 'delete',
+		'delight', 'deliver', 'demand', 'demolish', 'deploy', 'describe', 'deserve', 'design', 'desire', 'detect', 'dice',
+		'dictate', 'diet', 'dig', 'dine', 'dip', 'disagree', 'discover', 'discuss', 'dislike', 'dismiss', 'display',
+		'distract', 'disturb', 'divide', 'dock', 'dodge', 'doodle', 'double', 'doubt', 'download', 'doze', 'draft', 'drain',
+		'draw', 'dread', 'dream', 'dress', 'drift', 'drill', 'drink', 'drop', 'drown', 'dry', 'duck', 'dump', 'dunk',
+		'earn', 'edit', 'educate', 'elbow', 'elect', 'eliminate', 'embrace', 'employ', 'empty', 'endure', 'enjoy',
+		'enlarge', 'enter', 'envy', 'equip', 'erase', 'escape', 'estimate', 'examine', 'excel', 'exchange', 'excite',
+		'exercise', 'exhale', 'exhibit', 'exist', 'explore', 'export', 'expose', 'express', 'extend', 'extract', 'face',
+		'fail', 'fall', 'fart', 'fasten', 'fax', 'fear', 'feast', 'feature', 'feed', 'feel', 'fetch', 'fight', 'file',
+		'fill', 'film', 'find', 'finish', 'fire', 'fit', 'fix', 'flatten', 'flatter', 'flee', 'flick', 'flip', 'float',
+		'flood', 'flow', 'focus', 'fold', 'follow', 'fool', 'force', 'forge', 'forget', 'forgive', 'frame', 'free',
+		'freeze', 'fret', 'frighten', 'frown', 'fry', 'fumble', 'furnish', 'fuss', 'gain', 'gallop', 'gamble', 'gather',
+		'gaze', 'get', 'giggle', 'glance', 'glide', 'glow', 'glue', 'gnaw', 'gossip', 'grab', 'graduate', 'grant', 'grill',
+		'grin', 'grind', 'grip', 'grow', 'growl', 'grumble', 'guess', 'guide', 'guzzle', 'hack', 'hammer', 'handle', 'hang',
+		'happen', 'harden', 'harm', 'hatch', 'haul', 'haunt', 'heal', 'hear', 'help', 'hide', 'highlight', 'hijack', 'hike',
+		'hire', 'hiss', 'hold', 'honk', 'hook', 'host', 'house', 'hover', 'hug', 'humiliate', 'hurl', 'hurry', 'hurt',
+		'ignite', 'ignore', 'imagine', 'imitate', 'import', 'imprison', 'increase', 'infect', 'inflate', 'influence',
+		'inhale', 'inherit', 'inject', 'insist', 'inspect', 'inspire', 'install', 'insult', 'insure', 'interact', 'invade',
+		'invent', 'invest', 'issue', 'jail', 'jam', 'jerk', 'jog', 'join', 'joke', 'judge', 'jump', 'keep', 'kick', 'kiss',
+		'knead', 'kneel', 'knit', 'knock', 'know', 'label', 'land', 'lasso', 'laugh', 'launch', 'lead', 'leak', 'leap',
+		'lease', 'leave', 'lecture', 'lend', 'lick', 'lift', 'like', 'limp', 'line', 'list', 'listen', 'live', 'load',
+		'loan', 'locate', 'lock', 'look', 'loot', 'lose', 'lounge', 'love', 'lower', 'lunch', 'lure', 'make', 'map',
+		'marry', 'mash', 'mask', 'massage', 'match', 'measure', 'meet', 'melt', 'mend', 'mention', 'merge', 'milk', 'mimic',
+		'mingle', 'misspell', 'mix', 'mock', 'model', 'modify', 'mop', 'move', 'mow', 'mumble', 'munch', 'murder',
+		'navigate', 'need', 'nest', 'nibble', 'nod', 'nominate', 'notice', 'number', 'nurse', 'obey', 'observe', 'occupy',
+		'occur', 'offer', 'open', 'operate', 'oppose', 'order', 'overcome', 'overhear', 'oversee', 'owe', 'own', 'pack',
+		'package', 'page', 'parade', 'park', 'pass', 'paste', 'pat', 'patch', 'patrol', 'pay', 'pet', 'phone', 'pick',
+		'pile', 'pilot', 'pin', 'pinch', 'pitch', 'plan', 'plant', 'play', 'please', 'plot', 'plug', 'pocket', 'poke',
+		'polish', 'pollute', 'ponder', 'pop', 'pose', 'post', 'postpone', 'pound', 'pout', 'powder', 'praise', 'pray',
+		'preach', 'predict', 'prefer', 'prepare', 'present', 'press', 'pretend', 'prevent', 'preview', 'price', 'print',
+		'process', 'produce', 'profit', 'promise', 'promote', 'propose', 'protect', 'protest', 'prove', 'publish', 'pull',
+		'pump', 'punch', 'pursue', 'push', 'queue', 'race', 'raid', 'rain', 'raise', 'rally', 'rank', 'rant', 'rate',
+		'react', 'read', 'rebel', 'recall', 'receive', 'recharge', 'recover', 'recruit', 'recycle', 'reduce', 'referee',
+		'refund', 'register', 'rehearse', 'reject', 'rejoice', 'relax', 'release', 'reload', 'relocate', 'remain',
+		'remember', 'remind', 'remove', 'rename', 'renew', 'rent', 'repair', 'repay', 'replace', 'reply', 'report',
+		'reserve', 'reset', 'resolve', 'respect', 'respond', 'restart', 'restore', 'retreat', 'retrieve', 'return',
+		'reveal', 'review', 'revive', 'rewind', 'rewrite', 'ride', 'riot', 'rip', 'rise', 'roast', 'rob', 'rock', 'roll',
+		'row', 'run', 'rush', 'sail', 'salute', 'sample', 'save', 'say', 'scan', 'scare', 'scatter', 'scold', 'score',
+		'scout', 'scrape', 'scratch', 'screen', 'scrub', 'seal', 'search', 'season', 'see', 'seek', 'seize', 'sell', 'send',
+		'serve', 'set', 'settle', 'sew', 'shake', 'shampoo', 'share', 'sharpen', 'shatter', 'shave', 'shelter', 'shine',
+		'shiver', 'shock', 'shoplift', 'shove', 'show', 'shower', 'shred', 'shrink', 'shuffle', 'shut', 'sigh', 'sign',
+		'signal', 'sing', 'sink', 'sip', 'sit', 'skate', 'sketch', 'skip', 'slam', 'slap', 'sleep', 'slide', 'slurp',
+		'smack', 'smoke', 'smuggle', 'snack', 'snap', 'snatch', 'sneak', 'soak', 'soar', 'sob', 'solve', 'sort', 'sparkle',
+		'speak', 'speed', 'spend', 'spit', 'splash', 'split', 'sponsor', 'spot', 'spray', 'spread', 'sprint', 'spy',
+		'squash', 'squat', 'squeak', 'stab', 'stack', 'star', 'start', 'stay', 'steal', 'steam', 'step', 'stick', 'stink',
+		'stir', 'stitch', 'stomp', 'stop', 'strangle', 'stretch', 'strip', 'study', 'stumble', 'submit', 'succeed',
+		'suffer', 'suggest', 'sulk', 'summon', 'supervise', 'supply', 'surf', 'surface', 'survive', 'swallow', 'sway',
+		'swear', 'sweat', 'sweep', 'swerve', 'swim', 'swing', 'switch', 'tag', 'take', 'talk', 'tame', 'taste', 'tattoo',
+		'teach', 'tear', 'tease', 'tempt', 'terrify', 'test', 'thank', 'thaw', 'think', 'threaten', 'throw', 'tickle',
+		'tidy', 'tie', 'tighten', 'tilt', 'time', 'tiptoe', 'toast', 'torture', 'toss', 'touch', 'tour', 'trace', 'track',
+		'trade', 'trample', 'trap', 'treat', 'trek', 'tremble', 'trick', 'trigger', 'trip', 'trot', 'trust', 'try', 'tuck',
+		'tumble', 'tune', 'tweak', 'twitch', 'type', 'unfold', 'unload', 'unlock', 'untie', 'unveil', 'unwrap', 'unzip',
+		'update', 'upset', 'vacuum', 'value', 'vanish', 'verify', 'view', 'visit', 'voice', 'vomit', 'vote', 'waddle',
+		'wait', 'wake', 'walk', 'wander', 'want', 'wash', 'waste', 'watch', 'water', 'wax', 'weep', 'weigh', 'whisk',
+		'whisper', 'whistle', 'widen', 'wiggle', 'win', 'wink', 'wink at', 'wipe', 'wish', 'withdraw', 'wonder', 'work',
+		'worry', 'wound', 'wreck', 'wrestle', 'write', 'yield', 'zap', 'zip', 'zoom',
+	],
+	adjectives: [
+		'abrasive', 'absent', 'abstract', 'absurd', 'abusive', 'academic', 'acclaimed', 'accustomed', 'aching', 'acrylic',
+		'adjacent', 'adjusted', 'admirable', 'advanced', 'afflicted', 'aged', 'agile', 'aimless', 'airless', 'airy',
+		'alert', 'aligned', 'allied', 'alluring', 'amateur', 'amazing', 'ambiguous', 'ample', 'amplified', 'angry',
+		'angular', 'annual', 'anonymous', 'antique', 'anxious', 'appealing', 'apt', 'aquatic', 'arctic', 'argumentative',
+		'aromatic', 'aroused', 'artistic', 'artsy', 'arty', 'ash', 'aspiring', 'assisted', 'athletic', 'atomic',
+		'attentive', 'atypical', 'automated', 'autumn', 'average', 'aware', 'awkward', 'baby', 'backless', 'backward',
+		'bad', 'baggy', 'bald', 'barbed', 'basic', 'bearded', 'bedridden', 'bedside', 'beloved', 'beneficial', 'bent',
+		'best', 'better', 'biased', 'big', 'bigger', 'biggest', 'bigoted', 'binary', 'bitter', 'black', 'bland', 'blank',
+		'bleached', 'bleak', 'blind', 'blissful', 'blond', 'blonde', 'blooming', 'blundering', 'blunt', 'blunted', 'blurry',
+		'blustery', 'bodily', 'boiled', 'boiling', 'boneless', 'bony', 'botanical', 'bottled', 'bottom', 'bound', 'bounded',
+		'brainy', 'brave', 'brazen', 'breezier', 'breezy', 'brewed', 'bridal', 'brief', 'brisk', 'brittle', 'broad',
+		'broader', 'broken', 'bronze', 'brown', 'bubbly', 'buff', 'bugged', 'bulging', 'bulky', 'bungled', 'buoyant',
+		'burly', 'bushy', 'busy', 'buttery', 'buzzing', 'cardiac', 'carsick', 'cashmere', 'catchy', 'cautious', 'cement',
+		'central', 'ceramic', 'certified', 'chained', 'chalky', 'chance', 'chaotic', 'charcoal', 'charred', 'chatty',
+		'cheeky', 'cheerful', 'cheery', 'cheesy', 'chilled', 'chilling', 'chilly', 'choosy', 'choppy', 'chrome', 'civilian',
+		'classic', 'classy', 'clean', 'clear', 'clerical', 'clingy', 'clueless', 'clumsy', 'coarse', 'cocoa', 'coded',
+		'coherent', 'cold', 'colonial', 'colossal', 'comforting', 'comfy', 'comical', 'committed', 'common', 'communist',
+		'compact', 'complete', 'complex', 'composed', 'concerned', 'condensed', 'confident', 'confined', 'confused',
+		'confusing', 'connected', 'convincing', 'cooked', 'cool', 'corporate', 'correct', 'corrupt', 'cotton', 'countless',
+		'courteous', 'cracked', 'crackling', 'crafty', 'cranky', 'crazed', 'crazy', 'creaking', 'creaky', 'creamy',
+		'credible', 'creepy', 'crimson', 'crinkly', 'crisp', 'crooked', 'crowded', 'crucial', 'crude', 'cruel', 'crumbling',
+		'crystal', 'cubic', 'cuddly', 'cunning', 'curable', 'curly', 'curved', 'curvy', 'custom', 'customary', 'cute',
+		'cutest', 'cynical', 'daily', 'dainty', 'damned', 'damp', 'dangerous', 'daring', 'dark', 'darkened', 'darling',
+		'dashing', 'dazed', 'dazzling', 'dead', 'deadly', 'deaf', 'dear', 'dearer', 'deceitful', 'deceptive', 'decimal',
+		'decisive', 'decorated', 'decreasing', 'deep', 'default', 'deflated', 'deleted', 'delicate', 'delirious', 'deluxe',
+		'dense', 'dependent', 'depressed', 'devoted', 'diabetic', 'diesel', 'digested', 'dignified', 'dim', 'dire', 'dirty',
+		'disgraced', 'disguised', 'dishevelled', 'dismissed', 'disruptive', 'distant', 'disused', 'divine', 'divorced',
+		'dizzy', 'doomed', 'double', 'downhill', 'downward', 'drab', 'dramatic', 'dreadful', 'dreaming', 'dreamy', 'dreary',
+		'driest', 'dripping', 'droopy', 'drowsy', 'dry', 'dubious', 'dull', 'dusty', 'dutiful', 'dynamic', 'eager', 'east',
+		'eastbound', 'easy', 'easygoing', 'edgy', 'edible', 'educated', 'eerie', 'eight', 'eighteen', 'eighth', 'elastic',
+		'elated', 'elder', 'eldest', 'elite', 'eloquent', 'emerald', 'emotional', 'empty', 'enchanted', 'endearing',
+		'endless', 'enhanced', 'enjoyable', 'enlarged', 'enticing', 'envious', 'equipped', 'erect', 'essential',
+		'estimated', 'eternal', 'ethnic', 'even', 'evergreen', 'excess', 'excessive', 'excited', 'exciting', 'excluded',
+		'exclusive', 'expected', 'exposed', 'external', 'extinct', 'extra', 'extreme', 'exuberant', 'factual', 'faded',
+		'faint', 'fair', 'faithful', 'false', 'famous', 'fancy', 'fantastic', 'fashionable', 'fearful', 'feathered',
+		'federal', 'fellow', 'felt', 'festive', 'few', 'fictional', 'fierce', 'fifth', 'fifty', 'filthy', 'fine', 'finite',
+		'firm', 'fit', 'fizzier', 'fizzy', 'flaming', 'flammable', 'flannel', 'flashy', 'flat', 'fleeting', 'flexible',
+		'floating', 'flooded', 'fluent', 'fluffy', 'fluorescent', 'flush', 'flying', 'focused', 'foggy', 'folded',
+		'foolish', 'forced', 'forgetful', 'formal', 'former', 'forward', 'foul', 'fourth', 'frail', 'frantic', 'frayed',
+		'freaky', 'free', 'fried', 'frightened', 'frisky', 'frivolous', 'frizzy', 'front', 'frosty', 'frothy', 'full',
+		'funnier', 'funny', 'furnished', 'futile', 'future', 'fuzzy', 'gay', 'geeky', 'genetic', 'gentle', 'ghastly',
+		'gigantic', 'giggling', 'giggly', 'glad', 'glamourous', 'glass', 'glassy', 'gleeful', 'glittering', 'glitzy',
+		'gloomy', 'glorious', 'glossy', 'glowing', 'golden', 'goofy', 'grand', 'greasy', 'great', 'greatest', 'green',
+		'grilled', 'grim', 'grimy', 'gritty', 'groovy', 'grouchy', 'gruesome', 'grumbling', 'guided', 'gummy', 'gusty',
+		'hairy', 'happier', 'happy', 'hard', 'hardened', 'harder', 'hardwood', 'hardy', 'harmful', 'harrowing', 'harsh',
+		'haughty', 'hazardous', 'hazy', 'healthy', 'heated', 'heavy', 'herbal', 'heroic', 'hesitant', 'high', 'hilly',
+		'hip', 'hollow', 'homemade', 'homicidal', 'hopeful', 'horny', 'horrid', 'hostile', 'hot', 'huge', 'human', 'humane',
+		'humble', 'humorous', 'hungover', 'hungry', 'hurried', 'hurt', 'husky', 'hyper', 'hysterical', 'icky', 'ideal',
+		'idle', 'illegal', 'immature', 'immediate', 'immense', 'immoral', 'immortal', 'immovable', 'impartial', 'impatient',
+		'impending', 'imperfect', 'imperial', 'impure', 'incoming', 'incorrect', 'incredible', 'indigo', 'indoor',
+		'industrial', 'infamous', 'infected', 'infested', 'infinite', 'inflamed', 'inflated', 'injured', 'inner',
+		'insightful', 'inspired', 'intellectual', 'intense', 'intricate', 'introverted', 'invasive', 'invisible', 'invited',
+		'iron', 'ironic', 'itchy', 'jagged', 'jazzy', 'jealous', 'jerky', 'jobless', 'jolly', 'joyful', 'joyous',
+		'jubilant', 'juicy', 'jumbo', 'jumpy', 'junior', 'junk', 'just', 'kind', 'kinky', 'labeled', 'lacy', 'lame',
+		'lanky', 'large', 'larger', 'last', 'laughable', 'lavish', 'lawful', 'lawless', 'layered', 'lazy', 'leafless',
+		'leaky', 'lean', 'leaning', 'least', 'leather', 'legal', 'legendary', 'legible', 'legit', 'lengthy', 'lesbian',
+		'lesser', 'level', 'liberal', 'licensed', 'light', 'lighter', 'lightest', 'likely', 'limited', 'limp', 'lined',
+		'liquid', 'listed', 'little', 'live', 'livid', 'living', 'local', 'locked', 'lofty', 'long', 'loose', 'loud',
+		'lousy', 'loved', 'loveless', 'lovely', 'lovesick', 'low', 'lowest', 'lowly', 'loyal', 'lucid', 'lucky',
+		'ludicrous', 'lumpy', 'lush', 'luxury', 'mad', 'major', 'mammoth', 'mangled', 'manic', 'masked', 'massive',
+		'mature', 'maverick', 'maximum', 'medical', 'meek', 'mellow', 'melted', 'mere', 'merry', 'messy', 'metal', 'metric',
+		'middle', 'mighty', 'mild', 'milky', 'mindful', 'mineral', 'minty', 'misguided', 'mixed', 'moaning', 'mock',
+		'modern', 'modest', 'moist', 'moody', 'moral', 'morbid', 'mortal', 'motivated', 'movable', 'muddled', 'muddy',
+		'muggy', 'murky', 'mushy', 'musical', 'mutant', 'mute', 'muted', 'mutual', 'mystical', 'naive', 'naked', 'narrow',
+		'national', 'nautical', 'nearby', 'negative', 'nerdy', 'neutral', 'new', 'newer', 'next', 'nice', 'night', 'ninth',
+		'noble', 'nocturnal', 'noisier', 'noisy', 'northwest', 'nosy', 'notorious', 'nuclear', 'numb', 'nutty', 'nylon',
+		'observant', 'obsolete', 'occasional', 'odd', 'off', 'offensive', 'oily', 'old', 'older', 'online', 'opaque',
+		'ordered', 'orderly', 'original', 'orphaned', 'orthodox', 'outbound', 'outdoor', 'outgoing', 'outrageous', 'oval',
+		'overcast', 'overgrown', 'overnight', 'overpaid', 'overpriced', 'overrated', 'overripe', 'overseas', 'pale',
+		'panicked', 'paper', 'paralysed', 'passing', 'patchy', 'patient', 'patriotic', 'paved', 'peach', 'pearly',
+		'peculiar', 'peeved', 'penniless', 'perfumed', 'perky', 'perplexed', 'pesky', 'phantom', 'piercing', 'pink',
+		'pitiful', 'plain', 'plastic', 'plausible', 'plentiful', 'plump', 'plush', 'polar', 'polished', 'polite',
+		'polluted', 'poor', 'poorest', 'portable', 'powerful', 'pragmatic', 'precise', 'premature', 'premier', 'premium',
+		'pretty', 'priceless', 'pricey', 'prickly', 'primary', 'prime', 'printed', 'prior', 'profound', 'proper',
+		'prosperous', 'prudent', 'pulsing', 'punchy', 'punctual', 'pure', 'purple', 'pushy', 'quantum', 'queasy', 'quick',
+		'quiet', 'quirky', 'quivering', 'rabid', 'ragged', 'rampant', 'random', 'rank', 'ranked', 'rare', 'rash',
+		'rational', 'raw', 'ready', 'real', 'realistic', 'recent', 'reclining', 'recycled', 'red', 'rehearsed', 'related',
+		'relaxed', 'relaxing', 'relevant', 'religious', 'reluctant', 'remote', 'renowned', 'rented', 'reported',
+		'repulsive', 'required', 'reserved', 'resilient', 'reusable', 'revised', 'revived', 'rewritten', 'right', 'rigid',
+		'ripe', 'risen', 'risky', 'ritual', 'rival', 'robust', 'rocky', 'romantic', 'roomy', 'rosy', 'rotten', 'rough',
+		'roughest', 'round', 'routine', 'rowdy', 'royal', 'rude', 'ruffled', 'rugged', 'ruined', 'ruling', 'runaway',
+		'runny', 'rustic', 'sad', 'safe', 'safer', 'saltwater', 'sandy', 'sarcastic', 'sassy', 'satirical', 'savvy',
+		'scandalous', 'scared', 'scarlet', 'scary', 'scorching', 'scrappy', 'scratched', 'scruffy', 'seasick', 'second',
+		'secret', 'seedless', 'seething', 'serial', 'serious', 'settled', 'seventy', 'severe', 'shabby', 'shapely', 'sharp',
+		'sheer', 'shifty', 'shimmering', 'shocking', 'shoddy', 'showy', 'shrunken', 'shy', 'sick', 'sideways', 'signed',
+		'silent', 'silly', 'simple', 'sincere', 'single', 'six', 'sixth', 'sizable', 'skilled', 'slack', 'slain',
+		'slapstick', 'sleek', 'sleeker', 'sleepy', 'slender', 'slick', 'slight', 'slightest', 'slim', 'sloppy', 'slow',
+		'sluggish', 'small', 'smart', 'smarter', 'smooth', 'smug', 'snappy', 'snazzy', 'sneaky', 'snooty', 'snotty', 'snug',
+		'soapy', 'sober', 'soft', 'softer', 'softest', 'solar', 'solid', 'solitary', 'solo', 'sonic', 'sorrowful', 'sound',
+		'sour', 'southern', 'sparkling', 'sparkly', 'specific', 'speckled', 'speedy', 'spherical', 'spiced', 'spicy',
+		'spiky', 'spinal', 'spiny', 'spirited', 'split', 'spongy', 'sponsored', 'sporting', 'sporty', 'spotted', 'spotty',
+		'sprawling', 'springy', 'squat', 'squeaky', 'squealing', 'squishy', 'stable', 'stacked', 'stale', 'standard',
+		'standout', 'stark', 'starless', 'starry', 'steady', 'stealthy', 'steam', 'steel', 'steep', 'stellar', 'sticky',
+		'stiff', 'still', 'stinky', 'stocked', 'stoked', 'stolen', 'stony', 'stout', 'stranded', 'stray', 'stretchy',
+		'strict', 'stripped', 'stubby', 'studious', 'stuffy', 'stupid', 'sturdy', 'stylish', 'subdued', 'submerged',
+		'subtle', 'suburban', 'suitable', 'sulky', 'sullen', 'summer', 'sunken', 'superb', 'superior', 'supersonic',
+		'supreme', 'surplus', 'swampy', 'sweet', 'sweeter', 'swell', 'swift', 'swirly', 'symbolic', 'synthetic', 'taken',
+		'talented', 'tall', 'tallest', 'tame', 'tampered', 'tangible', 'tangled', 'tangy', 'tardy', 'target', 'tasty',
+		'tattered', 'tattooed', 'tearful', 'teary', 'tedious', 'teeny', 'temporary', 'tender', 'tense', 'tenth',
+		'terrified', 'textured', 'thermal', 'thick', 'thin', 'third', 'thirteenth', 'thorough', 'thoughtful', 'thrifty',
+		'thriving', 'tidy', 'timid', 'tin', 'tingling', 'tiny', 'tipsy', 'tired', 'token', 'tolerant', 'toothy', 'top',
+		'total', 'touchy', 'tough', 'towering', 'toxic', 'tragic', 'trapped', 'trashy', 'treacherous', 'tribal', 'tricky',
+		'trim', 'trivial', 'true', 'trusty', 'turquoise', 'twin', 'twirling', 'typed', 'ultimate', 'unaware', 'unbroken',
+		'uncharted', 'unclaimed', 'uncooked', 'undecided', 'underpaid', 'uneasy', 'unequal', 'unethical', 'uneven',
+		'unfailing', 'unfeeling', 'unfilled', 'unfit', 'unhelpful', 'unhinged', 'unified', 'uniform', 'unisex', 'united',
+		'unkind', 'unlawful', 'unleaded', 'unlikely', 'unlocked', 'unmatched', 'unnatural', 'unnerved', 'unopposed',
+		'unplanned', 'unripe', 'unruly', 'unseen', 'unsigned', 'unsound', 'unstable', 'unsteady', 'untamed', 'untidy',
+		'untouched', 'untrue', 'unusual', 'unwell', 'unwise', 'unworthy', 'uplifting', 'upright', 'urban', 'urgent',
+		'usual', 'vacant', 'vain', 'valuable', 'vanilla', 'variable', 'various', 'varnished', 'vegan', 'velvet', 'veteran',
+		'vibrating', 'victorious', 'vigilant', 'vile', 'vintage', 'virtual', 'vital', 'vivid', 'voodoo', 'wacky',
+		'waddling', 'warm', 'warring', 'wasteful', 'watery', 'wavy', 'weak', 'weary', 'weedy', 'weekly', 'weighty', 'weird',
+		'westward', 'wet', 'whimsical', 'whining', 'white', 'wholesome', 'wide', 'widest', 'widowed', 'wild', 'wimpy',
+		'windy', 'winning', 'winter', 'wise', 'witty', 'wonderful', 'wood', 'wooded', 'wooden', 'worse', 'worthless',
+		'worthy', 'wounded', 'woven', 'wrecked', 'wriggly', 'wrinkled', 'written', 'wry', 'yellow', 'young', 'yucky',
+		'yummy', 'zany', 'zesty', 'zigzag', 'zippy',
+	],
+	adverbs: [
+		'actively', 'almost', 'annually', 'blindly', 'brightly', 'briskly', 'broadly', 'busily', 'calmly', 'cheaply',
+		'cheerily', 'crisply', 'cruelly', 'decently', 'earlier', 'endlessly', 'entirely', 'equally', 'eventually',
+		'expertly', 'flatly', 'fluently', 'frankly', 'frequently', 'gently', 'genuinely', 'heavily', 'helpfully',
+		'hungrily', 'intently', 'lawfully', 'messily', 'modestly', 'nearly', 'nicely', 'overly', 'plainly', 'presently',
+		'rapidly', 'readily', 'remotely', 'richly', 'secretly', 'seemingly', 'seldom', 'seriously', 'sharply', 'sincerely',
+		'sleepily', 'smoothly', 'softly', 'sooner', 'steeply', 'swiftly', 'thickly', 'unhappily', 'upwards', 'urgently',
+		'vividly', 'warmly', 'wisely', 'with amusement', 'with shame',
+	],
+};
+
+// tier 3
+export const rare = {
+	nouns: [
+		'abattoir', 'ablution', 'accretion', 'accrual', 'acolyte', 'actuary', 'actuator', 'addendum', 'adherent', 'aerator',
+		'affect', 'aileron', 'airmails', 'alimony', 'alm', 'almanac', 'aloe vera', 'ammeter', 'amnesiac', 'amnesty',
+		'anchorite', 'annal', 'annex', 'annuity', 'antigen', 'antipasto', 'aorta', 'aphorism', 'aquanaut', 'arboretum',
+		'archduke', 'armhole', 'armlet', 'artifice', 'ass', 'attire', 'awl', 'azimuth', 'balsam', 'bandoleer', 'banyan',
+		'barer', 'baronet', 'barrel of gunpowder', 'barrette', 'basilica', 'bathmat', 'bauble', 'bayou', 'bearskin',
+		'bedstead', 'begger', 'behemoth', 'belfry', 'beryllium', 'bib', 'billet', 'bimbo', 'binary', 'biopsy', 'biosphere',
+		'bitch', 'bittern', 'blazon', 'blip', 'bloc', 'blotch', 'blotter', 'blowgun', 'blunderer', 'blurb', 'boatman',
+		'boatswain', 'bobble', 'bobtail', 'bondsman', 'bong', 'booby', 'bootie', 'borer', 'bosom', 'boudoir', 'bowel',
+		'bowman', 'bragger', 'breadth', 'brewery', 'brigand', 'broach', 'broccoli', 'brouhaha', 'buckler', 'bugbear',
+		'bullpen', 'bursar', 'busfare', 'bygone', 'byway', 'cabby', 'caboodle', 'cacophony', 'caddy', 'cadenza', 'calfskin',
+		'calico', 'caliphate', 'canape', 'canard', 'canasta', 'carbine', 'carousal', 'carpel', 'castanet', 'catacomb',
+		'catchment', 'catnip', 'cattleman', 'caucus', 'cavalcade', 'caveat', 'censer', 'centurion', 'cesspool',
+		'chairwoman', 'chaplet', 'chedder', 'chevron', 'chicory', 'chimera', 'chink', 'chuckhole', 'cicada', 'cipher',
+		'circlet', 'cistern', 'citadel', 'citation', 'clavicle', 'clef', 'clergyman', 'coauthor', 'cochlea', 'cockfight',
+		'cognate', 'cohort', 'collation', 'colossus', 'combatant', 'conclave', 'condenser', 'condolance', 'conduit',
+		'conifer', 'consonant', 'constume', 'contagion', 'contrail', 'cooper', 'cornball', 'cornea', 'cornice', 'cornier',
+		'corsage', 'corsair', 'cortex', 'cosmogony', 'cosmology', 'courtesan', 'covenant', 'cowbird', 'cowling',
+		'crackling', 'craftsman', 'crag', 'cravat', 'credo', 'creole', 'cribbage', 'croc', 'crotch', 'crouton', 'crux',
+		'cubbyhouse', 'cubical', 'culvert', 'curate', 'currency', 'cuticle', 'cygnet', 'dabbler', 'damper', 'damsel',
+		'dapple', 'deaconess', 'decathlon', 'decendent', 'defogger', 'delimiter', 'denature', 'dendrite', 'dervish',
+		'descant', 'desiccate', 'despute', 'dibble', 'dichotomy', 'dictum', 'die', 'dike', 'din', 'dint', 'diorama',
+		'dioxide', 'distillery', 'diuretic', 'divisor', 'dogma', 'dollop', 'doohicky', 'doorman', 'doubloon', 'dragnet',
+		'dragoon', 'dribble', 'dribbler', 'driblet', 'drivel', 'duckbill', 'dullard', 'dungaree', 'duplex', 'dyer',
+		'dynamo', 'eMusic', 'eiderdown', 'elect', 'elective', 'elector', 'elixir', 'emcee', 'emporium', 'enchanter',
+		'encoder', 'endorser', 'entrail', 'envoy', 'enzyme', 'epitome', 'epoch', 'esplanade', 'estimator', 'etcher',
+		'ether', 'excise', 'excision', 'excretion', 'exemplar', 'exorcism', 'extremity', 'eyetooth', 'falsehood', 'fanfare',
+		'fanny', 'fatalist', 'fathom', 'feedbag', 'feeler', 'fetter', 'fez', 'fibber', 'filament', 'financier', 'fink',
+		'firebomb', 'firetrap', 'flack', 'flagellum', 'flagon', 'flank', 'flapper', 'flasher', 'flattop', 'floater',
+		'floaty', 'floe', 'flotilla', 'flotsam', 'flounder', 'flume', 'flux', 'flyleaf', 'fob', 'foghorn', 'fold', 'folio',
+		'follicle', 'fondant', 'fondue', 'forager', 'ford', 'foresail', 'foreskin', 'formality', 'forwarder', 'foul',
+		'fount', 'foxhound', 'frappe', 'frat', 'freeloader', 'frensy', 'friction', 'frippery', 'frogman', 'funk', 'gaff',
+		'gaggle', 'gaiter', 'gambit', 'ganglion', 'gaol', 'garb', 'garnish', 'gasket', 'gasworks', 'gee', 'geisha',
+		'genocide', 'genome', 'genus', 'gibblet', 'giblet', 'giggler', 'gigolo', 'gimp', 'glassware', 'glazier', 'glob',
+		'gloss', 'glycerol', 'gob', 'godparent', 'godsend', 'goldsmith', 'goul', 'gourmand', 'gruel', 'grumbler',
+		'guard-dog', 'guardroom', 'guild', 'gulch', 'gully', 'gunk', 'gunrunner', 'haggler', 'halfback', 'halogen',
+		'handmaid', 'hardliner', 'harem', 'harlequin', 'harpist', 'harrow', 'haversack', 'heading', 'hearer', 'hector',
+		'helix', 'hemp plant', 'henchman', 'heptagon', 'heuristic', 'hewer', 'heystack', 'hiatus', 'highboy', 'hireling',
+		'hoard', 'hobnail', 'hockshop', 'hoedown', 'holdover', 'homonym', 'homophone', 'howitzer', 'huckster', 'humdinger',
+		'hump', 'hydra', 'ibex', 'ibis', 'ideogram', 'imbecile', 'immortal', 'incision', 'inflow', 'ingress', 'inhalant',
+		'initiate', 'inks', 'inquirer', 'inset', 'insulator', 'insurer', 'ioniser', 'iota', 'ironwork', 'jabberer',
+		'jackboot', 'jalopy', 'jell', 'jib', 'jihad', 'jockstrap', 'joint', 'judiciary', 'jugular', 'jujube', 'juncture',
+		'junta', 'keratin', 'kiloton', 'kinfold', 'kinswoman', 'kisser', 'klutz', 'knave', 'labyrinth', 'laggard', 'lancet',
+		'landmass', 'lapwing', 'larch', 'larynx', 'lathe', 'layette', 'layman', 'laywoman', 'leach', 'leasehold', 'lesbian',
+		'lessee', 'libretto', 'liftoff', 'ligature', 'lilt', 'lineman', 'liniment', 'linkup', 'linseed', 'lintel', 'lira',
+		'liturgy', 'loader', 'loaner', 'lockup', 'logarithm', 'logician', 'loom', 'loophole', 'loot', 'lotus', 'lout',
+		'lube', 'lummox', 'lymphoma', 'lyre', 'madam', 'maelstrom', 'magneto', 'magnifier', 'mainmast', 'mainsail',
+		'malitia', 'mandarin', 'mandrake', 'marauder', 'marcher', 'margin', 'marketer', 'marquis', 'marquise', 'marshal',
+		'martyr', 'masochist', 'masthead', 'matriarch', 'matting', 'mattock', 'matzoh', 'maven', 'mayflower', 'megacycle',
+		'melange', 'melanoma', 'menfolk', 'menswear', 'meridian', 'merman', 'microcode', 'microfilm', 'middy', 'miler',
+		'milkweed', 'milliner', 'mimosa', 'minibike', 'minuet', 'minuteman', 'mire', 'misdeed', 'misogynist', 'modal',
+		'modulator', 'monastry', 'monger', 'monolith', 'moor', 'moralist', 'morass', 'muralist', 'murderess', 'murmur',
+		'musketeer', 'mutineer', 'mystique', 'nailbrush', 'napalm', 'napsack', 'narcotic', 'naysayer', 'nettle', 'networks',
+		'neutrino', 'newsreel', 'newt', 'nib', 'nibbler', 'niceties', 'niggle', 'nighty', 'nit', 'nobleman', 'node',
+		'noggin', 'novelette', 'novella', 'nuance', 'nub', 'nunnery', 'nutmeat', 'nymph', 'obelisk', 'octave', 'octet',
+		'offset', 'offshoot', 'oilcloth', 'oligarch', 'operetta', 'optic', 'optometry', 'oration', 'orb', 'orderly',
+		'origin', 'outcrop', 'outfitter', 'outlay', 'outrider', 'outtake', 'ovary', 'overhang', 'overlay', 'paddock',
+		'pair of nylons', 'pair of tights', 'paling', 'palisade', 'palladium', 'palmist', 'panacea', 'pang', 'pantie',
+		'paradigm', 'paragon', 'parameter', 'parolee', 'parsec', 'parson', 'partition', 'passkey', 'passtime', 'patella',
+		'pathogen', 'patrician', 'patron', 'pauper', 'paver', 'pavilion', 'pawn', 'pawnshop', 'payee', 'payload', 'payor',
+		'peafowl', 'peahen', 'peal', 'peasant', 'pectin', 'pedant', 'peeper', 'peer', 'peg', 'penchant', 'pendent',
+		'peninsula', 'penis', 'penlight', 'pentagon', 'pepsin', 'personal', 'pessimism', 'petella', 'petunia', 'pew',
+		'phlegm', 'piccolo', 'picker', 'pickerel', 'piece of jewelry', 'pigpen', 'pigstie', 'pike', 'piker', 'pilaf',
+		'pile of clothes', 'pileup', 'pilferer', 'pincer', 'pinhead', 'pinion', 'pinnacle', 'pinprick', 'pinwheel', 'pip',
+		'pippin', 'pirouette', 'piston', 'placard', 'plain', 'plaintiff', 'plait', 'platelet', 'platoon', 'platter',
+		'plaything', 'plea', 'pleb', 'plight', 'plinth', 'ploy', 'plume', 'plunger', 'poacher', 'pod', 'polestar',
+		'polyglot', 'pompom', 'pooch', 'pooh', 'pore', 'porthole', 'pose', 'poser', 'positron', 'possum', 'postmark',
+		'posture', 'potshot', 'pottage', 'powerboat', 'prat', 'preamble', 'precept', 'preface', 'premier', 'premium',
+		'prequel', 'preserve', 'pretender', 'previewer', 'prickle', 'primer', 'privite', 'processor', 'procurer',
+		'profanity', 'proforma', 'prognoses', 'projection', 'prologue', 'promenade', 'pronoun', 'proponent', 'protege',
+		'protocol', 'provider', 'proxy', 'puff', 'pug', 'pulpit', 'pulsar', 'punster', 'punt', 'punter', 'purchaser',
+		'purge', 'purveyor', 'pushcart', 'pushover', 'pussycat', 'putter', 'quadrant', 'quadruped', 'quagmire', 'quark',
+		'quart', 'quary', 'quatrain', 'quaver', 'quay', 'quirk', 'quoit', 'quotient', 'rabbi', 'raceway', 'racquet',
+		'radial', 'railing', 'rainmaker', 'rampart', 'ranking', 'rant', 'ranter', 'rapid', 'rapture', 'ratchet', 'ratio',
+		'rattrap', 'raucous', 'readout', 'reagent', 'reaper', 'recession', 'rector', 'rectum', 'redcap', 'redeemer', 'reed',
+		'reel', 'ref', 'refit', 'regent', 'rein', 'relaxant', 'remains', 'removalist', 'renegade', 'renter', 'reprisal',
+		'residency', 'resister', 'resistor', 'retainer', 'retard', 'retardant', 'retch', 'returnee', 'reviler', 'revue',
+		'ricket', 'ringer', 'rioter', 'riverbed', 'roamer', 'rollback', 'romantic', 'rook', 'roost', 'rower', 'royalist',
+		'ruffian', 'ruminant', 'rundown', 'rune', 'runoff', 'runt', 'rupee', 'rupture', 'ruse', 'rustler', 'saboteur',
+		'saddlebag', 'sadist', 'sage', 'sampan', 'sampler', 'sanctum', 'sandbar', 'sandhog', 'sapsucker', 'satyr',
+		'sawhorse', 'sawmill', 'sawyer', 'scab', 'scabbard', 'scalawag', 'scallywag', 'scalp', 'scalper', 'scarab',
+		'schematic', 'schism', 'schmuck', 'scotch', 'scrabble', 'scribbler', 'scrip', 'scrotum', 'scrubber', 'scullery',
+		'scullion', 'scumbag', 'scythe', 'seaway', 'secretion', 'sect', 'seducer', 'seer', 'segment', 'segue', 'semitone',
+		'sequal', 'sequin', 'seraph', 'serf', 'servo', 'sesame', 'settee', 'shackle', 'shaft', 'shallot', 'sham', 'shamble',
+		'shearer', 'sheathe', 'sheepfold', 'sheikdom', 'sheikh', 'shekel', 'shinbone', 'shindig', 'shingle', 'shipmate',
+		'shipyard', 'shire', 'shoal', 'showgirl', 'showlace', 'shroud', 'shrubbery', 'shuteye', 'shyster', 'sickbed',
+		'sidebar', 'sideboard', 'sidelight', 'siege', 'sighting', 'signatory', 'signboard', 'silage', 'silicate',
+		'silkworm', 'simian', 'sin', 'sinew', 'siphon', 'sixties', 'skivvy', 'skullcap', 'skywriter', 'slag', 'slammer',
+		'slat', 'slate', 'slaver', 'slayer', 'slider', 'sling', 'slipcover', 'slipknot', 'slit', 'sliver', 'slobber',
+		'sloop', 'sluggard', 'slugger', 'slumlord', 'slur', 'slut', 'smacker', 'smelter', 'smidgen', 'snap', 'snare',
+		'snifter', 'snip', 'snitch', 'snoop', 'snooper', 'snorkeler', 'snowdrop', 'snowstop', 'soapsud', 'solder',
+		'solicitor', 'soliloquy', 'solstice', 'solvent', 'sophist', 'sorority', 'sortie', 'sounding', 'southerner',
+		'spatter', 'speckle', 'speller', 'sperm', 'spigot', 'spinnaker', 'spitfire', 'splicer', 'splint', 'splotch',
+		'spoonbill', 'spout', 'sprayer', 'spread', 'spreader', 'spree', 'sprig', 'spritzer', 'spur', 'squab', 'squall',
+		'squatter', 'squeegee', 'squiggle', 'staffer', 'stakeout', 'stamen', 'stance', 'starch', 'stargazer', 'statute',
+		'stead', 'steer', 'steppe', 'stevedore', 'stickpin', 'stiletto', 'stint', 'stockade', 'stopgap', 'strait', 'strand',
+		'strata', 'strategem', 'streamer', 'strop', 'stutterer', 'stylist', 'submersible', 'submitter', 'subplot',
+		'subpoena', 'subtitle', 'sud', 'suicide', 'suitor', 'sulky', 'summoner', 'summons', 'summonse', 'sump', 'sunlamp',
+		'super nova', 'superior', 'suspender', 'suture', 'swaddle', 'swag', 'swami', 'swatter', 'sweeper', 'synapse',
+		'syndicate', 'synod', 'synonym', 'tabulator', 'tankard', 'tanner', 'tapeworm', 'taproot', 'tarot card', 'tarragon',
+		'taxidermist', 'teargas', 'tearoom', 'teaser', 'teat', 'telemeter', 'telemetry', 'telex', 'tendril', 'tenet',
+		'testical', 'theist', 'thespian', 'throwback', 'thrower', 'thyroid', 'tic', 'tidewater', 'tilde', 'timepiece',
+		'tinge', 'tithe', 'tollgate', 'topknot', 'tort', 'totality', 'towhead', 'township', 'trapezoid', 'trestle', 'triad',
+		'tribune', 'trickle', 'trifle', 'trifler', 'trotter', 'troupe', 'truant', 'truism', 'trump', 'trustee',
+		'tube of eyeliner', 'tuber', 'tubercle', 'tucker', 'twinge', 'twirler', 'twit', 'twosome', 'underline', 'undertow',
+		'uniquest', 'upheaval', 'uppercut', 'upshot', 'urinal', 'urine', 'usurper', 'uterus', 'valuable', 'vantage',
+		'vector', 'verge', 'vestibule', 'vestment', 'vestry', 'vicarage', 'viceroy', 'victor', 'videodisk', 'vigil',
+		'vistitor', 'vocation', 'void', 'volley', 'voltmeter', 'walkout', 'ward', 'warhorse', 'warren', 'washbowl',
+		'washtub', 'waterline', 'wavelet', 'waver', 'wearer', 'weeper', 'weld', 'well', 'welt', 'wench', 'whaler', 'whammy',
+		'whittler', 'whopper', 'wicket', 'wiener', 'wigwag', 'winch', 'windbreak', 'windlass', 'windower', 'wiretap',
+		'wisher', 'wisp', 'wisterias', 'witchery', 'woe', 'womankind', 'woodman', 'wraffle', 'wrangler', 'wriggler', 'writ',
+		'writing', 'yardarm', 'yawl', 'yen', 'zinc', 'zinger', 'zinnia', 'zither',
+	],
+	verbs: [
+		'abase', 'abate', 'abdicate', 'abet', 'abhor', 'abound', 'abrade', 'abrogate', 'abstract', 'accede', 'accost',
+		'accrue', 'acquit', 'actuate', 'adhere', 'affix', 'afflict', 'aggrivate', 'agitate', 'aim at', 'airbrush', 'alight',
+		'align', 'allege', 'alleviate', 'allot', 'allure', 'amble', 'amputate', 'animate', 'annotate', 'annul', 'anoint',
+		'appease', 'append', 'apprise', 'arouse', 'assay', 'assert', 'atone', 'attest', 'augment', 'author', 'avow', 'awe',
+		'backdate', 'badger', 'barf', 'barge', 'barnstorm', 'barter', 'bask', 'baste', 'batter', 'bawl', 'bayonet',
+		'becalm', 'beckon', 'befall', 'befit', 'befuddle', 'beget', 'begrudge', 'beguile', 'behold', 'belay', 'belittle',
+		'bequest', 'besiege', 'best', 'bethink', 'better', 'bias', 'bide', 'bifurcate', 'bilk', 'bind', 'birth', 'bisect',
+		'bitch', 'blab', 'blacken', 'blanch', 'bleat', 'blemish', 'bloat', 'blubber', 'blunt', 'bluster', 'boggle', 'bop',
+		'bound', 'braise', 'breach', 'breath', 'bristle', 'broil', 'buck', 'budge', 'bulge', 'bumble', 'bungle', 'bunt',
+		'burble', 'burgle', 'burrow', 'bushwhack', 'bustle', 'butt', 'cackle', 'cake', 'calibrate', 'canvas', 'capsize',
+		'career', 'carouse', 'catcall', 'cater for', 'caterwaul', 'cave', 'cede', 'censure', 'certify', 'chance', 'char',
+		'charbroil', 'chastise', 'cheep', 'chide', 'chime', 'chirp', 'chomp', 'chortle', 'christen', 'clamber', 'clank',
+		'clasp', 'clatter', 'claw', 'cleave', 'climax', 'cling to', 'cloak', 'clomp', 'clot', 'cluck', 'clump', 'coarsen',
+		'coast', 'coauthor', 'coddle', 'codify', 'cogitate', 'coincide with', 'collar', 'collate', 'collude', 'commit',
+		'compel', 'concede', 'conceive', 'conclude', 'concoct', 'condense', 'condone', 'congest', 'connote', 'construe',
+		'contend', 'contort', 'convene', 'convoke', 'convoy', 'convulse', 'coo', 'copulate', 'corral', 'corrode', 'couple',
+		'course', 'covet', 'crease', 'credit', 'crest', 'crick', 'crimp', 'crinkle', 'croon', 'crossbreed', 'crow', 'cull',
+		'culture', 'curdle', 'cuss', 'dabble', 'damn', 'darn', 'dawdle', 'dawn', 'daze', 'deaden', 'debase', 'debit',
+		'debrief', 'debunk', 'deceive', 'decimate', 'decipher', 'declare', 'decoy', 'decry', 'deduce', 'deem', 'deface',
+		'defect', 'defer', 'define', 'defray', 'deice', 'deify', 'deject', 'delimit', 'delineate', 'demerit', 'denigrate',
+		'denote', 'depict', 'deplete', 'deplore', 'depose', 'derange', 'deride', 'descend', 'desecrate', 'desist',
+		'despair', 'despoil', 'despute', 'destine', 'deviate', 'devise', 'devolve', 'dialogue with', 'diddle',
+		'differ from', 'diffuse', 'dignify', 'digress', 'disband', 'disburse', 'disclaim', 'disclose', 'disembody',
+		'disfigure', 'disgorge', 'disgrace', 'dislocate', 'dislodge', 'dismay', 'dispel', 'disperse', 'disrobe', 'disrupt',
+		'dissuade', 'distill', 'dither', 'diversify', 'divine', 'divulge', 'dole', 'dope', 'downscale', 'dowse', 'drench',
+		'dribble', 'droop', 'drub', 'drudge', 'dull', 'earmark', 'ease', 'edify', 'elapse', 'elevate', 'elude', 'embalm',
+		'embark', 'embezzle', 'embitter', 'embolden', 'empower', 'enact', 'encase', 'encipher', 'encircle', 'encounter',
+		'encrust', 'encumber', 'enfold', 'engineer', 'engulf', 'enjoin', 'enmesh', 'enqueue', 'enrich', 'enroll', 'enslave',
+		'ensnare', 'entitle', 'entomb', 'entrance', 'entrap', 'entreat', 'entwine', 'envision', 'equal', 'erect', 'err',
+		'eschew', 'escrow', 'espouse', 'estrange', 'evoke', 'exact', 'exalt', 'excavate', 'excoriate', 'excrete', 'exempt',
+		'exert', 'exhort', 'exhume', 'exonerate', 'exorcise', 'expunge', 'extrude', 'exude', 'falsify', 'falter', 'famish',
+		'fathom', 'feign', 'fell', 'fend', 'fester', 'fetter', 'feud with', 'fiddle', 'filet', 'fillet', 'firebomb',
+		'fixate', 'flail', 'flank', 'flog', 'floor', 'flounder', 'flower', 'flub', 'fob', 'foment', 'forage', 'foresee',
+		'foretell', 'forewarn', 'forgo', 'foul', 'found', 'fray', 'frazzle', 'freeload', 'frequent', 'freshen', 'frisk',
+		'friz', 'frizzle', 'frolic', 'front', 'fumigate', 'furbish', 'furrow', 'further', 'fuse', 'gab', 'gall', 'gape',
+		'garble', 'garner', 'garnish', 'gazette', 'gibbet', 'gird', 'glean', 'glimmer', 'glint', 'glisten', 'glitch',
+		'glitter', 'gloat', 'gloss over', 'goof', 'gorge', 'graft', 'grit', 'gurgle', 'gush', 'gust', 'gutter', 'gyrate',
+		'hamper', 'hamstring', 'hash', 'hector', 'heed', 'heft', 'hem', 'herald', 'hoards', 'hurtle', 'image', 'impair',
+		'impart', 'impede', 'implement', 'implode', 'implore', 'imply', 'impound', 'improvise', 'incubate', 'indemnify',
+		'index', 'induce', 'indulge', 'infer', 'inflame', 'infringe', 'inhabit', 'initiate', 'innovate', 'inquire',
+		'inscribe', 'inter', 'interject', 'intersect', 'intrude', 'invert', 'invoke', 'involve', 'irk', 'irrigate',
+		'jabber', 'jazz up', 'jell', 'jest', 'jettison', 'jib', 'jive', 'juxtapose', 'lambast', 'lament', 'laminate',
+		'lapse', 'leach', 'leaven', 'leech', 'leer', 'legislate', 'line up', 'liquefy', 'litigate', 'liven', 'loft',
+		'loose', 'lop', 'lull', 'lust', 'lynch', 'machine', 'magnifiy', 'maim', 'major', 'malt', 'man', 'mandate',
+		'manicure', 'maraud', 'maroon', 'marshal', 'masticate', 'meld', 'mellow', 'merit', 'mill', 'mime', 'minister',
+		'mint', 'mire', 'misapply', 'miscast', 'miscount', 'misdeal', 'misfire', 'mislay', 'misplay', 'misprint',
+		'misquote', 'misstate', 'mistime', 'mitigate', 'moderate', 'molest', 'moo', 'mooch', 'morn', 'motion', 'mouth',
+		'mulch', 'mull', 'muster', 'mutate', 'nauseate', 'near', 'nestle', 'neuter', 'nitpick', 'nix', 'nosh', 'notch',
+		'nut out', 'obfuscate', 'obligate', 'oblige', 'obscure', 'occlude', 'offload', 'offset', 'ogle', 'omit', 'ordain',
+		'orient', 'orientate', 'oscillate', 'ossify', 'ostracise', 'oust', 'out', 'outbid', 'outfox', 'outlay', 'outstay',
+		'outwear', 'overawe', 'overbook', 'overdraw', 'overgrow', 'overhang', 'overlap', 'overlay', 'overlie', 'overprint',
+		'overstay', 'overuse', 'ovulate', 'paginate', 'palpitate', 'panhandle', 'pant', 'parol', 'pastor', 'pay homage',
+		'peal', 'peddle', 'peep', 'peer', 'peg', 'pension', 'perceive', 'permeate', 'permute', 'perplex', 'persist',
+		'personify', 'perspire', 'pertain to', 'perturb', 'peruse', 'pervert', 'piddle', 'pilfer', 'ping', 'pique', 'pivot',
+		'placard', 'placate', 'pleat', 'plumb', 'ply', 'pommel', 'prattle', 'preempt', 'preen', 'preface', 'prejudge',
+		'prep', 'preside', 'pretty', 'prey', 'prick', 'primp', 'procure', 'profile', 'prop up', 'propel', 'propound',
+		'puff', 'pulp', 'pulse', 'punctuate', 'purge', 'purvey', 'quack', 'quake', 'quarrel with', 'quash', 'quell',
+		'quibble', 'quiver', 'radiate', 'ratify', 'readjust', 'ready', 'reanimate', 'reapply', 'rearm', 'reassert',
+		'rebuff', 'rebutt', 'recast', 'recede', 'recess', 'recheck', 'reckon', 'recompile', 'recoupe', 'recreate', 'recur',
+		'redden', 'redefine', 'redeploy', 'redirect', 'redress', 'reelect', 'reenact', 'reenter', 'refer to', 'refit',
+		'refrain', 'refute', 'regard', 'regulate', 'rehire', 'reinvent', 'reissue', 'rejoin', 'rekindle', 'relabel',
+		'relate', 'relay', 'relearn', 'relegate', 'relent', 'relieve', 'relive', 'remark', 'remarry', 'remount', 'renumber',
+		'reoccur', 'reorder', 'repeal', 'repel', 'repent', 'replenish', 'repose', 'repress', 'reproduce', 'reprove',
+		'republish', 'repudiate', 'repulse', 'require', 'resemble', 'resettle', 'resonate', 'resource', 'restrain',
+		'resume', 'retail', 'retain', 'retake', 'retard', 'retell', 'retool', 'retouch', 'retrace', 'retract', 'retread',
+		'reunify', 'rev', 'reverse', 'revert', 'revile', 'revise', 'revoke', 'revolve', 'reword', 'rework', 'riffle',
+		'ripen', 'robe', 'roost', 'roughen', 'route', 'rue', 'ruminate', 'rumple', 'rustle', 'salivate', 'salt',
+		'sandblast', 'saturate', 'saver', 'saw', 'schmooze', 'school', 'scrabble', 'scrunch', 'scuttle', 'secede', 'second',
+		'sedate', 'seep', 'seesaw', 'seethe', 'segment', 'sense', 'shackle', 'shag', 'shear', 'sheath', 'sheathe',
+		'shimmer', 'shoe', 'shrivel', 'shroud', 'shun', 'shunt', 'sift', 'singe', 'siphon', 'sire', 'situate', 'skew',
+		'skimp', 'skitter', 'skulk', 'skyjack', 'skylark', 'slag', 'slander', 'slant', 'slave', 'sledge', 'slight',
+		'slobber', 'slur', 'smarten', 'smelt', 'smite', 'smith', 'snaffle', 'snob', 'snow', 'sojourn', 'solder', 'soldier',
+		'sooth', 'sow', 'spearhead', 'specify', 'spew', 'spite', 'splinter', 'spool', 'spring', 'spur', 'spurt', 'stable',
+		'staff', 'stagnate', 'starch', 'state', 'still', 'stipple', 'stoke', 'stow', 'strain', 'stray', 'streak', 'subdue',
+		'subject', 'subjugate', 'sublet', 'submerge', 'submerse', 'subpoena', 'subside', 'subsidise', 'subsume', 'subvert',
+		'succumb', 'suckle', 'suffice', 'suffuse', 'sully', 'sup', 'supersede', 'suppose', 'sustain', 'swab', 'swaddle',
+		'swash', 'tabulate', 'tamper', 'tarry', 'teem', 'temper', 'terminate', 'terrace', 'till', 'tinkle', 'tithe', 'toil',
+		'toot', 'tote', 'tout', 'traipse', 'tramp', 'transmute', 'treble', 'trend', 'trisect', 'tromp', 'trounce', 'trudge',
+		'trumpet', 'trundle', 'turf out', 'twaddle', 'twiddle', 'unbend', 'unbolt', 'uncoil', 'underlay', 'underrate',
+		'undersell', 'undersign', 'unearth', 'unfurl', 'unhinge', 'unify', 'unlace', 'unlearn', 'unpin', 'unseal', 'unseat',
+		'unsheathe', 'upend', 'uphold', 'upholster', 'upstage', 'urinate', 'usurp', 'vary', 'vector', 'venerate', 'vent',
+		'verge', 'vilify', 'vindicate', 'void', 'vouch for', 'vow', 'waft', 'waggle', 'waive', 'wallow', 'wane', 'ward off',
+		'waver', 'wean', 'wham', 'whet', 'whiff', 'whinny', 'whither', 'whoop', 'widow', 'winch', 'winnow', 'wither',
+		'withhold', 'withstand', 'woof', 'wrangle', 'wriggle', 'wring', 'yammer', 'yip', 'zing',
+	],
+	adjectives: [
+		'abraded', 'acetic', 'acrid', 'acrostic', 'adherent', 'adverse', 'aggrievated', 'airborn', 'ajoining', 'aliased',
+		'alkaline', 'alto', 'anarchic', 'anatomic', 'angora', 'animist', 'anomalous', 'aqua', 'aquiline', 'armful of',
+		'arsenic', 'atheistic', 'augmented', 'aural', 'axial', 'ballistic', 'barbarous', 'baseline', 'baulky', 'beaded',
+		'bearish', 'bellicose', 'beryl', 'beryllium', 'bifocal', 'bilateral', 'binomial', 'bleeping', 'boldface',
+		'brackish', 'bristling', 'broiled', 'bronchial', 'bucktooth', 'bumptious', 'burlesque', 'cadged', 'calorific',
+		'calypso', 'cambered', 'cannibal', 'cannoned', 'caustic', 'celestial', 'chintzy', 'cindered', 'climactic', 'clover',
+		'cocked', 'cockney', 'cocooned', 'coddled', 'coercive', 'collared', 'comfier', 'congruant', 'contorted',
+		'contoured', 'corroded', 'cortical', 'countable', 'cremated', 'crochet', 'crossbred', 'crumby', 'cuneiform',
+		'cursory', 'dank', 'dative', 'deciduous', 'deppest', 'didactic', 'dietetic', 'diocesan', 'disjoint', 'doctoral',
+		'downwind', 'drolly', 'drudging', 'ductless', 'dud', 'dulcet', 'dustless', 'elicit', 'endemic', 'enthralled',
+		'epicurean', 'epileptic', 'equable', 'ergonomic', 'excepting', 'exiguous', 'extrinsic', 'febrile', 'federated',
+		'ferrous', 'fiat', 'fiftieth', 'filial', 'flagrant', 'flaking', 'flayful', 'flaying', 'flint', 'flintlock',
+		'fluoride', 'forseen', 'friable', 'frowzy', 'fumigated', 'furrowed', 'galvanic', 'gamey', 'gangrene', 'geologic',
+		'gib', 'gigabit', 'gloats', 'globular', 'gouty', 'grafted', 'guessable', 'gunked', 'guttural', 'habitable',
+		'halftime', 'head', 'helical', 'hereabout', 'hexagonal', 'hosed', 'hubristic', 'hypo', 'iliterate', 'immutable',
+		'inanimate', 'inboard', 'incensed', 'incised', 'incisive', 'indolent', 'innate', 'insensed', 'intestate',
+		'invidious', 'isotopic', 'isotropic', 'jaundiced', 'jaunt', 'jilting', 'jointed', 'kinked', 'knightly', 'larval',
+		'latched', 'latent', 'leeward', 'leftward', 'listing', 'loadable', 'longish', 'luxuriant', 'magnum', 'malleable',
+		'mallow', 'malt', 'manganese', 'marauding', 'mid-air', 'midland', 'midterm', 'miniscule', 'mirky', 'mirthless',
+		'misogynic', 'misquoted', 'misstated', 'modal', 'motly', 'moudly', 'mulish', 'neodymium', 'neuter', 'nodular',
+		'nonempty', 'nonfatal', 'noontime', 'notched', 'nubile', 'obtruding', 'obtuse', 'ocular', 'oilskin', 'optic',
+		'optimum', 'ordained', 'oriental', 'oscillating', 'outboard', 'ovarian', 'overborne', 'overfull', 'oviparous',
+		'paisley', 'pallid', 'papal', 'pedicured', 'pelvic', 'peripheral', 'petulant', 'phonetic', 'phonic', 'phosphorus',
+		'phychic', 'piecemeal', 'piggish', 'piggyback', 'pithy', 'planar', 'planetary', 'pleasent', 'plumb', 'polyphonic',
+		'prodigal', 'prorata', 'quiescent', 'quixotic', 'quotable', 'racest', 'racey', 'racked', 'radial', 'radium',
+		'raggedy', 'rapturous', 'ratified', 'ravishing', 'rearward', 'relegated', 'reticent', 'retinal', 'retrained',
+		'rhodium', 'riffled', 'roomful of', 'roundish', 'ruinous', 'ruminant', 'rye', 'saline', 'sallow', 'schmaltzy',
+		'scum', 'scurfy', 'scythed', 'semitone', 'septic', 'serrated', 'shadey', 'shanty', 'sherbet', 'shortish', 'sinewy',
+		'slang', 'slanty', 'slothful', 'sodden', 'sopping', 'soprano', 'soviet', 'spangled', 'spasmodic', 'specious',
+		'squally', 'squelchy', 'stary', 'stillborn', 'stolid', 'stonework', 'streaky', 'strewn', 'suave', 'submersable',
+		'submersed', 'subnormal', 'subtitled', 'surbid', 'svelte', 'sympathy', 'systemic', 'tandem', 'tawdry', 'taxonomic',
+		'tectonic', 'testate', 'threefold', 'timeworn', 'tinniest', 'tomorrows', 'tonal', 'torpid', 'trapezoidal',
+		'trenchant', 'triennial', 'trill', 'turgid', 'twirly', 'umber', 'umpteenth', 'unbidden', 'unbranded', 'undue',
+		'unfeigned', 'unforseen', 'unknowning', 'unlatched', 'unplumbed', 'unrefined', 'unsaddled', 'unsent', 'unsung',
+		'uric', 'utmost', 'uttermost', 'vehicular', 'vellum', 'venal', 'veneered', 'virginal', 'virulent', 'vocative',
+		'waggish', 'waggling', 'walleyed', 'whisked', 'womanlike', 'woofing',
+	],
+	adverbs: [
+		'affably', 'brusquely', 'buoyanty', 'copiously', 'corruptly', 'crassly', 'dankly', 'dourly', 'eminently',
+		'equitably', 'evermore', 'fatuously', 'foully', 'fourthly', 'garishly', 'glibly', 'hardily', 'humanely',
+		'inversely', 'irately', 'jovially', 'lividly', 'mirkily', 'mundanely', 'obtusely', 'palpably', 'passably', 'pertly',
+		'pettily', 'pitiably', 'radially', 'saucily', 'sedately', 'slavishly', 'stackly', 'stoutly', 'suggestivly',
+		'summarily', 'tardily', 'tenuously', 'uncannily', 'ungainly', 'variably',
+	],
+};
@@ -6,6 +6,7 @@ import { RPMutator } from './mutator.js';
 import { RPRandomFactors } from './random-factors.js';
 import { RPSentenceTemplate } from './sentence-template.js';
 import { RPWord } from './word.js';
+import { seededRandomness } from './rng.js';
 import { RPWordList, RPWordListPlural, RPWordListVerb, RPWordListArticle, RPWordListNumber, RPWordListIndefinitePronoun } from './word-list.js';
 
 export {
@@ -20,6 +21,7 @@ export {
 	RPWordListArticle,
 	RPWordListNumber,
 	RPWordListIndefinitePronoun,
+	seededRandomness,
 };
 
 export default ReadablePassphrase;
@@ -1,53 +1,215 @@
 import { ReadablePassphrase } from './readable-passphrase.js';
+import { randomWeighted } from './rng.js';
 
-function parseSpec(spec) {
-	if (spec.length) spec = { type: spec[0], count: spec[1] };
+// log2 of the number of ways to choose k items out of n, ie. the entropy of choosing which (not in what order)
+function log2Choose(n, k) {
+	let bits = 0;
+	for (let i = 0; i < k; i++) bits += Math.log2((n - i) / (i + 1));
+	return bits;
+}
+
+const DIGITS = '0123456789';
+const POLICY_CLASSES = ['upper', 'lower', 'digit', 'symbol'];
+const UPPER_TECHNIQUES = ['StartOfWord', 'WholeWord', 'Anywhere', 'RunOfLetters', 'random', 'none'];
+const INSERTION_TECHNIQUES = ['StartOfWord', 'EndOfWord', 'StartOrEndOfWord', 'EndOfPhrase', 'Anywhere', 'random', 'none'];
+const SUBSTITUTION_TECHNIQUES = ['StartOfWord', 'EndOfWord', 'Anywhere', 'random', 'none'];
+
+// where RPMutator.atWordBoundaries() moves each technique that can change the middle of a word
+const BOUNDARY_TECHNIQUES = {
+	upper: { WholeWord: 'StartOfWord', Anywhere: 'StartOfWord', RunOfLetters: 'StartOfWord', random: 'StartOfWord' },
+	numbers: { Anywhere: 'EndOfWord', random: 'StartOrEndOfWord' },
+	symbols: { Anywhere: 'EndOfWord', random: 'StartOrEndOfWord' },
+	substitute: { Anywhere: 'EndOfWord', random: 'EndOfWord' },
+};
+
+// changes words[] in place as described by one of mutate()'s edits
+function applyEdit(words, edit) {
+	const chars = Array.from(words[edit.word]);
+	chars.splice(edit.position, Array.from(edit.removed).length, edit.inserted);
+	words[edit.word] = chars.join('');
+}
+
+// a short description of one of mutate()'s edits, given the word it was made to (before and after)
+function describeEdit(edit, before, after) {
+	if (!edit.removed) {
+		if (edit.position === 0) return `added ${edit.inserted} before ${before}`;
+		if (edit.position === Array.from(before).length) return `added ${edit.inserted} after ${before}`;
+		return `added ${edit.inserted} inside ${before} (${after})`;
+	}
+	if (edit.type === 'upper') return before === edit.removed ? `capitalised ${after}` : `capitalised ${edit.inserted} in ${after}`;
+	if (edit.type === 'substitute') return `swapped ${edit.removed} for ${edit.inserted} in ${after}`;
+	return `changed ${edit.removed} to ${edit.inserted} in ${after}`;
+}
+
+// normalizes a policy object (see RPMutator.checkPolicy) and rejects ones that could never be met
+function parsePolicy(policy) {
+	if (!policy) return null;
+	const require = policy.require || [];
+	require.forEach((charClass) => {
+		if (!POLICY_CLASSES.includes(charClass)) throw new Error(`Unknown character class in policy: ${charClass}`);
+	});
+	const forbidden = Array.from(policy.forbidden || '');
+	const allowed = (chars) => Array.from(chars).filter((char) => !forbidden.includes(char));
+	const parsed = {
+		require: require.slice(),
+		symbols: allowed(policy.symbols !== undefined ? policy.symbols : RPMutator.defaultSymbols).join(''),
+		forbidden: forbidden.join(''),
+		digits: allowed(DIGITS).join(''),
+	};
+	if (require.includes('symbol') && !parsed.symbols) throw new Error('Policy requires a symbol, but allows none');
+	if (require.includes('digit') && !parsed.digits) throw new Error('Policy requires a digit, but forbids them all');
+	return parsed;
+}
+
+// whether a (parsed) policy lets the mutator put char into a phrase: any letter or digit it doesn't forbid, and
+// of the rest, only its symbols
+function policyAllows(policy, char) {
+	if (policy.forbidden.includes(char)) return false;
+	if (DIGITS.includes(char) || /\p{L}/u.test(char)) return true;
+	return policy.symbols.includes(char);
+}
+
+// estimated entropy of inserting numbers or symbols as described by spec, each picked from charCount characters
+function insertionEntropy(spec, charCount, name) {
+	const averageNumberOfWords = 9;
+	const averageWordLength = 5;
+	const count = spec.count || 3; // a random count is 1-5
+	let thisEntropy = Math.log2(charCount); // random number/symbol
+	switch (spec.type) {
+		case 'StartOfWord':
+		case 'EndOfWord':
+			thisEntropy += Math.log2(averageNumberOfWords); // choice of word
+			break;
+		case 'StartOrEndOfWord':
+			thisEntropy += Math.log2(averageNumberOfWords) + 1; // choice of word, then start or end
+			break;
+		case 'EndOfPhrase':
+			thisEntropy += 0; // no bonus for fixed location
+			break;
+		case 'random':
+		case 'Anywhere':
+			thisEntropy += Math.log2(averageNumberOfWords) + Math.log2(averageWordLength);
+			break;
+		default:
+			throw new Error(`Unknown ${name} insertion technique: ${spec.type}`);
+	}
+	return thisEntropy * count;
+}
+
+// normalizes a 'substitute' spec: { type, rate, table }, [ type, rate, table ] or just a type
+function parseSubstitute(spec, policy) {
+	if (typeof spec === 'string') spec = { type: spec };
+	else if (spec.length) spec = { type: spec[0], rate: spec[1], table: spec[2] };
+	const rate = spec.rate === undefined ? 50 : spec.rate;
+	if (!Number.isInteger(rate) || rate < 0 || rate > 100) throw new Error(`Substitution rate must be a whole percentage from 0 to 100, not ${spec.rate}`);
+	const table = {};
+	Object.entries(spec.table || RPMutator.substitutions).forEach(([letter, lookAlikes]) => {
+		let choices = Array.from(lookAlikes);
+		if (policy) choices = choices.filter((char) => policyAllows(policy, char));
+		if (choices.length) table[letter] = choices.join('');
+	});
+	if (!SUBSTITUTION_TECHNIQUES.includes(spec.type)) throw new Error(`Unknown letter substitution technique: ${spec.type}`);
+	return { type: spec.type, rate, table };
+}
+
+// normalizes an 'upper', 'numbers' or 'symbols' spec, rejecting techniques (from the list given) mutate() doesn't know
+function parseSpec(spec, techniques, description) {
+	if (typeof spec === 'string') spec = { type: spec };
+	else if (spec.length) spec = { type: spec[0], count: spec[1], chars: spec[2] };
+	else spec = { ...spec }; // don't share (and later change) the caller's object
+	if (!techniques.includes(spec.type)) throw new Error(`Unknown ${description} technique: ${spec.type}`);
 	if (spec.type !== 'none' && (!spec.count || Number.isNaN(spec.count) || spec.count < 1)) spec.count = 0;
 	return spec;
 }
 
 /**
- *  This object mutates a generated phrase by adding uppercase letters and/or embedded numbers.
+ *  This object mutates a generated phrase by adding uppercase letters, embedded numbers and/or symbols,
+ *  and by swapping letters for look-alikes (leetspeak).
  */
 export class RPMutator {
 	/**
 	 *  @param {(string|object)} [mutatorSpec] - either a string name of a predefined mutator (see RPMutator.mutators),
-	 *    or an object with 'upper' and 'numbers' properties (each a { type, count } spec or a [ type, count ] array),
-	 *    plus an optional 'separator' string (default ' ') used to join words back together
+	 *    or an object with 'upper' and 'numbers' properties (each a { type, count } spec, a [ type, count ] array or a type),
+	 *    an optional 'symbols' property (the same, plus 'chars' to pick symbols from, default RPMutator.defaultSymbols),
+	 *    an optional 'substitute' property ({ type, rate, table }: which letters may be swapped for look-alikes, the
+	 *    percentage chance each one is, and the look-alikes for each letter, default RPMutator.substitutions),
+	 *    plus an optional 'separator' string (default ' ') used to join words back together, and an optional
+	 *    'policy' ({ require, symbols, forbidden }, see RPMutator.checkPolicy) that every mutated string will meet; with
+	 *    a policy, only its symbols are inserted or swapped in
+	 *  @param {function} [randomness] - a per-instance randomness source (eg. from seededRandomness()); defaults to the
+	 *    source of an RPMutator passed as mutatorSpec, then to ReadablePassphrase.randomness
 	 */
-	constructor(mutatorSpec) {
+	constructor(mutatorSpec, randomness) {
+		this.randomness = randomness;
 		this.upper = { type: 'none' };
 		this.numbers = { type: 'none' };
+		this.symbols = { type: 'none' };
+		this.substitute = { type: 'none' };
 		this.separator = ' ';
+		this.policy = null;
 
 		if (!mutatorSpec) return;
-		if (typeof mutatorSpec === 'string') mutatorSpec = RPMutator.mutators[mutatorSpec];
+		if (typeof mutatorSpec === 'string') {
+			if (!Object.prototype.hasOwnProperty.call(RPMutator.mutators, mutatorSpec)) throw new Error(`Unknown mutator: ${mutatorSpec}`);
+			mutatorSpec = RPMutator.mutators[mutatorSpec];
+		}
+		if (typeof mutatorSpec !== 'object') throw new TypeError('A mutator spec must be a mutator name or an object');
+		if (!this.randomness && mutatorSpec.randomness) this.randomness = mutatorSpec.randomness;
 
-		this.upper = parseSpec(mutatorSpec.upper);
-		this.numbers = parseSpec(mutatorSpec.numbers);
+		if (mutatorSpec.upper) this.upper = parseSpec(mutatorSpec.upper, UPPER_TECHNIQUES, 'word uppercasing');
+		if (mutatorSpec.numbers) this.numbers = parseSpec(mutatorSpec.numbers, INSERTION_TECHNIQUES, 'number insertion');
 		if (mutatorSpec.separator !== undefined) this.separator = mutatorSpec.separator;
+		if (mutatorSpec.symbols) this.symbols = parseSpec(mutatorSpec.symbols, INSERTION_TECHNIQUES, 'symbol insertion');
+		this.policy = parsePolicy(mutatorSpec.policy);
+		if (this.policy && this.numbers.type !== 'none' && !this.policy.digits) throw new Error('Mutator inserts numbers, but its policy forbids every digit');
+		if (mutatorSpec.substitute) this.substitute = parseSubstitute(mutatorSpec.substitute, this.policy);
+		if (this.symbols.type !== 'none') {
+			let chars = Array.from(this.symbols.chars || RPMutator.defaultSymbols);
+			if (this.policy) chars = chars.filter((char) => policyAllows(this.policy, char));
+			if (!chars.length) throw new Error('Mutator inserts symbols, but has none to insert');
+			this.symbols.chars = chars.join('');
+		}
 	}
 
 	/**
 	 *  Mutate a string according to the mutator specification
 	 *  @param {string} string - a string to mutate, should be multiple words with spaces in between
 	 *  @param {string} [separator] - overrides this mutator's configured separator for this call only
+	 *  @param {object[]} [entropyLog] - if provided, a { source, bits } entry is pushed onto it for each random choice made
+	 *  @param {object[]} [edits] - if provided, a { word, type, technique, position, removed, inserted } entry is pushed onto
+	 *    it for each change made: the index of the (space-separated) word changed, the kind of change ('substitute', 'upper',
+	 *    'number', 'symbol' or 'policy') and how it was made, and the characters removed and inserted at position (counted in
+	 *    codepoints, in the word as it was just before the change)
 	 *  @return {string} a mutated string
+	 *  @throws {Error} if the policy forbids a character of the phrase itself (eg. a letter, or the separator)
 	 */
-	mutate(string, separator) {
+	mutate(string, separator, entropyLog, edits) {
+		const record = (source, bits) => {
+			if (entropyLog && bits > 0) entropyLog.push({ source, bits });
+		};
+		const edit = (word, type, technique, position, removed, inserted) => {
+			if (edits && removed !== inserted) edits.push({ word, type, technique, position, removed, inserted });
+		};
+		const pick = (n, source) => {
+			record(source, Math.log2(n || 2)); // randomInt() picks from 2 when asked for 0
+			return ReadablePassphrase.randomInt(n, this.randomness);
+		};
+
 		// Normalize to NFC first (collapses eg. "e" + combining acute accent into a single "é"
 		// codepoint) and slice by codepoint rather than raw UTF-16 index everywhere below, so
 		// inserting a letter/number can't land in the middle of a surrogate pair or a
 		// not-yet-composed accent and corrupt the character it touches.
 		const words = string.normalize('NFC').split(' '); // we already have parts[], but a part might have multiple words in it
+		if (this.substitute && this.substitute.type !== 'none') this.substituteLetters(words, record, pick, edit);
 		if (this.upper && this.upper.type !== 'none') {
-			let count = this.upper.count || ReadablePassphrase.randomInt(words.length) + 1;
+			let count = this.upper.count || pick(words.length, 'upperCount') + 1;
 			if (count > words.length) count = words.length;
+			record('upperWords', log2Choose(words.length, count)); // the order they're picked in doesn't show
 
 			const availableWords = [];
 			const chosenUpper = [];
 			for (let i = 0; i < words.length; i++) availableWords.push(i);
-			while (count-- > 0) chosenUpper.push(availableWords.splice(ReadablePassphrase.randomInt(availableWords.length), 1));
+			while (count-- > 0) chosenUpper.push(availableWords.splice(ReadablePassphrase.randomInt(availableWords.length, this.randomness), 1));
 			const upperTechniques = ['StartOfWord', 'WholeWord', 'Anywhere', 'RunOfLetters'];
 			const upperType = this.upper.type;
 			chosenUpper.forEach((wordNumber) => {
@@ -55,7 +217,7 @@ export class RPMutator {
 				let thisTechnique = upperType;
 				let start = 0;
 				let end = 0;
-				if (thisTechnique === 'random') thisTechnique = upperTechniques[ReadablePassphrase.randomInt(upperTechniques.length)];
+				if (thisTechnique === 'random') thisTechnique = upperTechniques[pick(upperTechniques.length, 'upperTechnique')];
 				switch (thisTechnique) {
 					case 'StartOfWord':
 						end = 1;
@@ -64,49 +226,161 @@ export class RPMutator {
 						end = chars.length;
 						break;
 					case 'Anywhere':
-						start = ReadablePassphrase.randomInt(chars.length);
+						start = pick(chars.length, 'upperPosition');
 						end = start + 1;
 						break;
 					case 'RunOfLetters':
-						start = ReadablePassphrase.randomInt(chars.length - 1);
-						end = start + 2 + ReadablePassphrase.randomInt(chars.length - start);
+						start = pick(chars.length - 1, 'upperPosition');
+						end = start + 2 + pick(chars.length - start, 'upperLength');
 						break;
 					default:
 						throw new Error(`Unknown word uppercasing technique: ${thisTechnique}`);
 				}
-				words[wordNumber] = chars.slice(0, start).join('') + chars.slice(start, end).join('').toUpperCase() + chars.slice(end, chars.length).join('');
+				const run = chars.slice(start, end).join('');
+				edit(Number(wordNumber), 'upper', thisTechnique, start, run, run.toUpperCase());
+				words[wordNumber] = chars.slice(0, start).join('') + run.toUpperCase() + chars.slice(end, chars.length).join('');
 			});
 		}
-		if (this.numbers && this.numbers.type !== 'none') {
-			let count = this.numbers.count || ReadablePassphrase.randomInt(5) + 1;
-			while (count-- > 0) {
-				let thisTechnique = this.numbers.type;
-				if (thisTechnique === 'StartOrEndOfWord') thisTechnique = ReadablePassphrase.randomness(2) >= 1 ? 'StartOfWord' : 'EndOfWord';
-				const chosenWord = thisTechnique === 'EndOfPhrase' ? words.length - 1 : ReadablePassphrase.randomInt(words.length);
-				let thisWord = words[chosenWord];
-				const thisNumber = ReadablePassphrase.randomInt(10).toString();
-				switch (thisTechnique) {
-					case 'StartOfWord':
-						thisWord = thisNumber + thisWord;
-						break;
-					case 'EndOfWord':
-					case 'EndOfPhrase':
-						thisWord += thisNumber;
-						break;
-					case 'random':
-					case 'Anywhere': {
-						const chars = Array.from(thisWord);
-						const thisPosition = ReadablePassphrase.randomInt(chars.length);
-						thisWord = chars.slice(0, thisPosition).join('') + thisNumber + chars.slice(thisPosition, chars.length).join('');
-						break;
-					}
-					default:
-						throw new Error(`Unknown number insertion technique: ${thisTechnique}`);
+		if (this.numbers && this.numbers.type !== 'none') this.insertCharacters(words, this.numbers, this.policy ? this.policy.digits : DIGITS, 'number', pick, edit);
+		if (this.symbols && this.symbols.type !== 'none') this.insertCharacters(words, this.symbols, this.symbols.chars, 'symbol', pick, edit);
+		if (separator === undefined) separator = this.separator;
+		if (this.policy) this.applyPolicy(words, separator, pick, edit);
+		return words.join(separator);
+	}
+
+	// swaps letters of words[] for look-alikes from this.substitute.table, each with a chance of this.substitute.rate percent
+	substituteLetters(words, record, pick, edit) {
+		const { type, rate, table } = this.substitute;
+		const chance = rate / 100;
+		words.forEach((word, w) => {
+			const chars = Array.from(word);
+			let positions;
+			switch (type) {
+				case 'StartOfWord':
+					positions = [0];
+					break;
+				case 'EndOfWord':
+					positions = [chars.length - 1];
+					break;
+				case 'random':
+				case 'Anywhere':
+					positions = chars.map((char, c) => c);
+					break;
+				default:
+					throw new Error(`Unknown letter substitution technique: ${type}`);
+			}
+			positions.forEach((c) => {
+				const lookAlikes = table[chars[c]] || table[chars[c].toLowerCase()]; // (a capital, eg. from title casing, is still the letter)
+				if (!lookAlikes || !rate) return;
+				if (rate < 100) {
+					const substituted = randomWeighted([100 - rate, rate], this.randomness || ReadablePassphrase.randomness) === 1;
+					record('substitute', -Math.log2(substituted ? chance : 1 - chance));
+					if (!substituted) return;
 				}
-				words[chosenWord] = thisWord;
+				const choices = Array.from(lookAlikes);
+				const lookAlike = choices.length > 1 ? choices[pick(choices.length, 'substitution')] : choices[0];
+				edit(w, 'substitute', type === 'random' ? 'Anywhere' : type, c, chars[c], lookAlike);
+				chars[c] = lookAlike;
+			});
+			words[w] = chars.join('');
+		});
+	}
+
+	// inserts count characters picked from chars (a number or symbol each) into words[], as described by spec
+	insertCharacters(words, spec, chars, name, pick, edit) {
+		let count = spec.count || pick(5, `${name}Count`) + 1;
+		while (count-- > 0) {
+			let thisTechnique = spec.type;
+			if (thisTechnique === 'StartOrEndOfWord') thisTechnique = pick(2, `${name}Technique`) ? 'StartOfWord' : 'EndOfWord';
+			const chosenWord = thisTechnique === 'EndOfPhrase' ? words.length - 1 : pick(words.length, `${name}Word`);
+			let thisWord = words[chosenWord];
+			const thisChar = chars[pick(chars.length, name)];
+			switch (thisTechnique) {
+				case 'StartOfWord':
+					edit(chosenWord, name, thisTechnique, 0, '', thisChar);
+					thisWord = thisChar + thisWord;
+					break;
+				case 'EndOfWord':
+				case 'EndOfPhrase':
+					edit(chosenWord, name, thisTechnique, Array.from(thisWord).length, '', thisChar);
+					thisWord += thisChar;
+					break;
+				case 'random':
+				case 'Anywhere': {
+					const wordChars = Array.from(thisWord);
+					const thisPosition = pick(wordChars.length, `${name}Position`);
+					edit(chosenWord, name, 'Anywhere', thisPosition, '', thisChar);
+					thisWord = wordChars.slice(0, thisPosition).join('') + thisChar + wordChars.slice(thisPosition, wordChars.length).join('');
+					break;
+				}
+				default:
+					throw new Error(`Unknown ${name} insertion technique: ${thisTechnique}`);
 			}
+			words[chosenWord] = thisWord;
 		}
-		return words.join(separator !== undefined ? separator : this.separator);
+	}
+
+	// changes words[] in place until, joined with separator, they meet this.policy
+	applyPolicy(words, separator, pick, edit) {
+		const policy = this.policy;
+		const isForbidden = (char) => policy.forbidden.includes(char);
+		// undo any uppercasing the policy doesn't allow
+		words.forEach((word, i) => {
+			words[i] = Array.from(word)
+				.map((char, c) => {
+					if (!isForbidden(char) || isForbidden(char.toLowerCase())) return char;
+					edit(i, 'policy', 'forbidden', c, char, char.toLowerCase());
+					return char.toLowerCase();
+				})
+				.join('');
+		});
+
+		const unmet = () => RPMutator.checkPolicy(words.join(separator), policy);
+		const changeCase = (charClass, change) => {
+			// a letter whose case can change to an allowed character, preferring the start of a word
+			const candidates = [];
+			words.forEach((word, w) => {
+				Array.from(word).forEach((char, c) => {
+					const changed = change(char);
+					if (changed !== char && Array.from(changed).length === 1 && !isForbidden(changed)) candidates.push({ w, c, atStart: c === 0 });
+				});
+			});
+			const atStart = candidates.filter((candidate) => candidate.atStart);
+			const from = atStart.length ? atStart : candidates;
+			if (!from.length) return;
+			const { w, c } = from[pick(from.length, `policy${charClass}`)];
+			const chars = Array.from(words[w]);
+			edit(w, 'policy', charClass.toLowerCase(), c, chars[c], change(chars[c]));
+			chars[c] = change(chars[c]);
+			words[w] = chars.join('');
+		};
+		const append = (charClass, chars) => {
+			const w = pick(words.length, `policy${charClass}Word`);
+			const char = chars[pick(chars.length, `policy${charClass}`)];
+			edit(w, 'policy', charClass.toLowerCase(), Array.from(words[w]).length, '', char);
+			words[w] += char;
+		};
+
+		if (unmet().includes('upper')) changeCase('Upper', (char) => char.toUpperCase());
+		if (unmet().includes('lower')) changeCase('Lower', (char) => char.toLowerCase());
+		if (unmet().includes('digit')) append('Digit', policy.digits);
+		if (unmet().includes('symbol')) append('Symbol', policy.symbols);
+
+		const failures = unmet();
+		if (failures.length) throw new Error(`Mutated phrase does not meet the policy: ${failures.join(', ')}`);
+	}
+
+	/**
+	 *  Get the most characters mutate() can add to a string (uppercasing changes letters in place, so only numbers and symbols count)
+	 *  @return {number} a number of characters
+	 */
+	maxAddedLength() {
+		let length = 0;
+		if (this.numbers && this.numbers.type !== 'none') length += this.numbers.count || 5;
+		else if (this.policy && this.policy.require.includes('digit')) length++;
+		if (this.symbols && this.symbols.type !== 'none') length += this.symbols.count || 5;
+		if (this.policy && this.policy.require.includes('symbol')) length++; // the symbols inserted might not be ones the policy counts
+		return length;
 	}
 
 	/**
@@ -143,33 +417,141 @@ export class RPMutator {
 
 			entropy += thisEntropy * count;
 		}
-		if (this.numbers && this.numbers.type !== 'none') {
-			const count = this.numbers.count || ReadablePassphrase.randomInt(5) + 1;
-			let thisEntropy = Math.log2(10); // random number
-			switch (this.numbers.type) {
-				case 'StartOfWord':
-				case 'EndOfWord':
-					thisEntropy += Math.log2(averageNumberOfWords); // choice of word
-					break;
-				case 'EndOfPhrase':
-					thisEntropy += 0; // no bonus for fixed location
-					break;
-				case 'random':
-				case 'Anywhere':
-					thisEntropy += Math.log2(averageNumberOfWords) + Math.log2(averageWordLength);
-					break;
-				default:
-					throw new Error(`Unknown number insertion technique: ${this.numbers.type}`);
-			}
-
-			entropy += thisEntropy * count;
+		if (this.substitute && this.substitute.type !== 'none') {
+			const { type, rate, table } = this.substitute;
+			const letters = Object.keys(table);
+			let eligible = letters.length / 26; // conservatively, as if every letter were as common as any other
+			if (type === 'Anywhere' || type === 'random') eligible *= averageNumberOfWords * averageWordLength;
+			else if (type === 'StartOfWord' || type === 'EndOfWord') eligible *= averageNumberOfWords;
+			else throw new Error(`Unknown letter substitution technique: ${type}`);
+			const chance = rate / 100;
+			const choice = chance > 0 && chance < 1 ? -(chance * Math.log2(chance) + (1 - chance) * Math.log2(1 - chance)) : 0; // whether to swap
+			const lookAlike = letters.reduce((total, letter) => total + Math.log2(Array.from(table[letter]).length), 0) / (letters.length || 1); // which to swap in
+			entropy += eligible * (choice + chance * lookAlike);
+		}
+		if (this.numbers && this.numbers.type !== 'none') entropy += insertionEntropy(this.numbers, this.policy ? this.policy.digits.length : DIGITS.length, 'number');
+		if (this.symbols && this.symbols.type !== 'none') entropy += insertionEntropy(this.symbols, Array.from(this.symbols.chars).length, 'symbol');
+		// a policy only adds characters the spec wouldn't have; count the ones it always has to add
+		if (this.policy) {
+			const require = this.policy.require;
+			if (require.includes('upper') && (!this.upper || this.upper.type === 'none')) entropy += Math.log2(averageNumberOfWords);
+			if (require.includes('digit') && (!this.numbers || this.numbers.type === 'none')) entropy += Math.log2(averageNumberOfWords) + Math.log2(this.policy.digits.length);
+			if (require.includes('symbol') && (!this.symbols || this.symbols.type === 'none')) entropy += Math.log2(averageNumberOfWords) + Math.log2(this.policy.symbols.length);
 		}
 		return entropy;
 	}
+
+	/**
+	 *  Check a string against a character-class policy, eg. one from a corporate password rule
+	 *  @param {string} string - the string to check (any string, not only a generated phrase)
+	 *  @param {object} policy - { require, symbols, forbidden }:
+	 *    require - an array of character classes the string must contain at least one of: 'upper', 'lower', 'digit', 'symbol'
+	 *    symbols - a string of the characters that count as (and may be inserted as) symbols, default RPMutator.defaultSymbols
+	 *    forbidden - a string of characters that must not appear
+	 *  @return {string[]} the rules the string breaks (the required classes it lacks, plus 'forbidden'); empty if it complies
+	 */
+	static checkPolicy(string, policy) {
+		const chars = Array.from(string.normalize('NFC'));
+		const symbols = policy.symbols !== undefined ? policy.symbols : RPMutator.defaultSymbols;
+		const tests = {
+			upper: (char) => /\p{Lu}/u.test(char),
+			lower: (char) => /\p{Ll}/u.test(char),
+			digit: (char) => DIGITS.includes(char),
+			symbol: (char) => symbols.includes(char),
+		};
+		const failures = (policy.require || []).filter((charClass) => {
+			if (!tests[charClass]) throw new Error(`Unknown character class in policy: ${charClass}`);
+			return !chars.some(tests[charClass]);
+		});
+		if (policy.forbidden && chars.some((char) => policy.forbidden.includes(char))) failures.push('forbidden');
+		return failures;
+	}
 }
 
 /**
- *  Predefined mutators
+ *  Look-alikes a 'substitute' spec swaps letters for when it doesn't give its own table
+ *  (each character of a value is an alternative, eg. { a: '4@' })
+ */
+RPMutator.substitutions = { a: '4', e: '3', o: '0', s: '$' };
+
+/**
+ *  The symbols a policy allows when it doesn't give its own
+ */
+RPMutator.defaultSymbols = '!#$%&*+-=?@^_~';
+
+/**
+ *  Add a named mutator, so it can be used by name (eg. new ReadablePassphrase('random', name)) and is listed
+ *  by ReadablePassphrase.mutators() and the command line's --list
+ *  @param {string} name - the name to use; must not already be registered, and 'none' is reserved
+ *  @param {(object|RPMutator)} spec - a mutator spec, as accepted by the RPMutator constructor
+ *  @throws {Error} if the spec is invalid (eg. an unknown technique) or the name is taken
+ */
+RPMutator.register = function (name, spec) {
+	if (typeof name !== 'string' || !name || name === 'none') throw new Error(`Invalid mutator name: ${name}`);
+	if (Object.prototype.hasOwnProperty.call(RPMutator.mutators, name)) throw new Error(`Mutator already registered: ${name}`);
+	if (typeof spec !== 'object' || !spec) throw new TypeError('A mutator spec must be an object');
+	new RPMutator(spec).entropy(); // throws now, rather than in the middle of mutate()
+	RPMutator.mutators[name] = spec;
+};
+
+/**
+ *  Replay the edits made by mutate() onto the string it was given, eg. to rebuild a mutated phrase from its base phrase
+ *  @param {string} string - the string that was mutated (multiple words with spaces in between)
+ *  @param {object[]} edits - the edits mutate() made to it, in the order it made them
+ *  @param {string} [separator] - used to join the words back together; defaults to ' '
+ *  @return {string} the mutated string
+ */
+RPMutator.applyEdits = function (string, edits, separator) {
+	const words = string.normalize('NFC').split(' ');
+	edits.forEach((edit) => applyEdit(words, edit));
+	return words.join(separator === undefined ? ' ' : separator);
+};
+
+/**
+ *  Describe the edits made by mutate(), eg. to show a hint of what changed next to a mutated phrase
+ *  @param {string} string - the string that was mutated (multiple words with spaces in between)
+ *  @param {object[]} edits - the edits mutate() made to it, in the order it made them
+ *  @return {string[]} one description for each edit, eg. [ 'capitalised CAKE', 'added 7 after CAKE' ]
+ */
+RPMutator.describeEdits = function (string, edits) {
+	const words = string.normalize('NFC').split(' ');
+	return edits.map((edit) => {
+		const before = words[edit.word];
+		applyEdit(words, edit);
+		return describeEdit(edit, before, words[edit.word]);
+	});
+};
+
+/**
+ *  Make a copy of a mutator that only changes the start or end of a word, eg. for phrases typed on a phone keyboard,
+ *  where a capital or digit in the middle of a word means switching keyboards halfway through it.  Uppercasing
+ *  capitalises the first letter, numbers and symbols are added to the start or end of a word (or stay at the end of the
+ *  phrase), and look-alikes are only swapped for a word's last letter.  Its entropy() is usually lower to match.
+ *  @param {(string|object)} mutatorSpec - a mutator name, spec or RPMutator object, as accepted by the RPMutator constructor
+ *  @return {RPMutator} the new mutator (the one given is left as it was)
+ */
+RPMutator.atWordBoundaries = function (mutatorSpec) {
+	const mutator = new RPMutator(mutatorSpec);
+	Object.entries(BOUNDARY_TECHNIQUES).forEach(([part, techniques]) => {
+		const type = mutator[part].type;
+		if (techniques[type]) mutator[part] = { ...mutator[part], type: techniques[type] };
+	});
+	return mutator;
+};
+
+/**
+ *  Remove a named mutator (including a predefined one)
+ *  @param {string} name - the name it was registered under
+ *  @return {boolean} true if it was removed, false if there was no such mutator
+ */
+RPMutator.unregister = function (name) {
+	if (!Object.prototype.hasOwnProperty.call(RPMutator.mutators, name)) return false;
+	delete RPMutator.mutators[name];
+	return true;
+};
+
+/**
+ *  Predefined mutators (add your own with RPMutator.register())
  */
 RPMutator.mutators = {
 	standard: { upper: ['WholeWord', 1], numbers: ['EndOfWord', 2] },
@@ -1,4 +1,5 @@
 import { ReadablePassphrase } from './readable-passphrase.js';
+import { randomWeighted } from './rng.js';
 
 /**
  *  This object represents a set of random factors.
@@ -17,10 +18,11 @@ export class RPRandomFactors {
 	/**
 	 *  Get the value of a factor according to the weights assigned to it.
 	 *  @param {string} factorName - name of the factor being requested
+	 *  @param {function} [randomness] - a per-instance randomness source; defaults to ReadablePassphrase.randomness
 	 *  @return {string|boolean} returns the string (out of a set of choices) or boolean (out of a 2-element array) randomly chosen for this factor
 	 */
-	byName(factorName) {
-		return RPRandomFactors.computeFactor(this[factorName]);
+	byName(factorName, randomness) {
+		return RPRandomFactors.computeFactor(this[factorName], randomness);
 	}
 
 	/**
@@ -52,7 +54,7 @@ export class RPRandomFactors {
 			case 'object':
 				if (this[factorName].length === undefined) {
 					let total = 0;
-					const thisWeight = this[factorName][value];
+					const thisWeight = this[factorName][value] || 0; // a choice can be left out rather than given 0
 					for (const weightFactor in this[factorName]) {
 						total += this[factorName][weightFactor];
 					}
@@ -107,9 +109,11 @@ export class RPRandomFactors {
 	/**
 	 *  Static function that computes a random value for a specification, see the RPRandomFactors constructor for possible specs
 	 *  @param {*} factor - specification
+	 *  @param {function} [randomness] - a per-instance randomness source; defaults to ReadablePassphrase.randomness
 	 *  @return {*} value of the factor, randomly-chosen if possible
 	 */
-	static computeFactor(factor) {
+	static computeFactor(factor, randomness) {
+		randomness = randomness || ReadablePassphrase.randomness;
 		switch (typeof factor) {
 			case 'boolean':
 			case 'string':
@@ -117,24 +121,11 @@ export class RPRandomFactors {
 				return factor;
 			case 'object':
 				if (factor.length === undefined) {
-					const weights = [];
-					let totalWeight = 0;
-					for (const weightFactor in factor) {
-						totalWeight += factor[weightFactor];
-						weights.push({ value: weightFactor, weight: totalWeight });
-					}
-					if (totalWeight === 0) return false;
-
-					const chosenWeight = ReadablePassphrase.randomness(totalWeight);
-					for (let checkWeight = 0; checkWeight < weights.length; checkWeight++) {
-						if (chosenWeight < weights[checkWeight].weight) {
-							return weights[checkWeight].value;
-						}
-					}
-					return false;
+					const values = Object.keys(factor);
+					const chosen = randomWeighted(values.map((value) => factor[value]), randomness);
+					return chosen === -1 ? false : values[chosen];
 				} else if (factor.length === 2) {
-					const chosenWeight = ReadablePassphrase.randomness(factor[0] + factor[1]);
-					return chosenWeight <= factor[0];
+					return randomWeighted(factor, randomness) === 0;
 				}
 				throw new Error('Unknown object type in computation');
 			default:
@@ -1,8 +1,197 @@
-import { randomness } from './rng.js';
+import { randomness, randomInt, seededRandomness } from './rng.js';
 import { RPMutator } from './mutator.js';
 import { RPRandomFactors } from './random-factors.js';
 import { RPSentenceTemplate } from './sentence-template.js';
 import { RPWordList, RPWordListVerb } from './word-list.js';
+import { familyFriendly } from './dictionary/blocklists.js';
+
+// how many phrases ReadablePassphrase.generate() samples to measure how often a template fits in maxLength
+const MAX_LENGTH_SAMPLES = 64;
+// the seed those samples come from, so the same options always measure the same loss
+const MAX_LENGTH_SEED = 'maxLength';
+// how many times the expected number of attempts a phrase gets to fit in maxLength before generate() gives up
+const MAX_LENGTH_PATIENCE = 20;
+// how many templates ReadablePassphrase.generate() chains, at most, to reach minEntropy (beyond this many, they tend to
+// run out of pronouns and other short lists they share)
+const MAX_CHAINED_TEMPLATES = 4;
+// how many duplicates in a row ReadablePassphrase.generateMany() puts up with before giving up on distinct phrases
+const MAX_DUPLICATES = 100;
+
+/**
+ *  Look up the estimated entropy of each of the named templates
+ *  @param {string[]} names - template names
+ *  @return {object[]} { name, entropy } for each template, weakest first
+ */
+function rankTemplates(names) {
+	const ranked = names.map((name) => {
+		if (!RPSentenceTemplate.templates[name]) throw new Error(`Unknown template: ${name}`);
+		return { name, entropy: RPSentenceTemplate.entropyOf(name) };
+	});
+	return ranked.sort((a, b) => a.entropy - b.entropy);
+}
+
+/**
+ *  The length in characters of a phrase after it's joined with its separator and mutated, allowing for the
+ *  most characters the mutator can add, so that every toString() call fits
+ *  @param {ReadablePassphrase} phrase
+ *  @return {number} the length
+ */
+function longestRendering(phrase) {
+	const words = renderedWords(phrase).join(' ').split(' ');
+	return Array.from(words.join(phrase.mutator.separator)).length + phrase.mutator.maxAddedLength();
+}
+
+/**
+ *  The bits lost by throwing away the phrases that don't fit in maxLength, from how many samples did.  The fraction
+ *  that fit is taken at the low end of its Wilson score interval (two standard deviations), so the estimate errs on
+ *  the side of losing too much. Nothing is lost if every sample fits.
+ *  @param {number} fits - how many of the samples fit
+ *  @param {number} samples - how many phrases were sampled
+ *  @return {number} bits lost
+ */
+function maxLengthLoss(fits, samples) {
+	if (fits >= samples) return 0;
+	const z2 = 4; // (two standard deviations, squared)
+	const fraction = fits / samples;
+	const spread = Math.sqrt(z2 * ((fraction * (1 - fraction)) / samples + z2 / (4 * samples * samples)));
+	const lowest = (fraction + z2 / (2 * samples) - spread) / (1 + z2 / samples);
+	return -Math.log2(lowest);
+}
+
+/**
+ *  Plan the phrases ReadablePassphrase.generate() makes from its options: which templates to chain and, with maxLength,
+ *  which of the plans fits and how many bits that loses.  It's planned once, so a batch of phrases shares the plan
+ *  @param {object} options - see ReadablePassphrase.generate() (without profile or maxTier)
+ *  @return {function(): ReadablePassphrase} makes a phrase to the plan each time it's called
+ */
+function phraseMaker(options) {
+	const minEntropy = options.minEntropy === undefined ? 0 : options.minEntropy;
+	if (typeof minEntropy !== 'number') throw new TypeError(`minEntropy must be a number of bits, got: ${minEntropy}`);
+	if (!Number.isFinite(minEntropy) || minEntropy < 0) throw new RangeError(`minEntropy must be a finite, non-negative number of bits, got: ${minEntropy}`);
+	if (options.maxLength !== undefined) {
+		if (typeof options.maxLength !== 'number') throw new TypeError(`maxLength must be a number of characters, got: ${options.maxLength}`);
+		if (!Number.isInteger(options.maxLength) || options.maxLength < 1) throw new RangeError(`maxLength must be a positive whole number of characters, got: ${options.maxLength}`);
+	}
+	const candidates = rankTemplates(options.templates || ReadablePassphrase.templates());
+	if (!candidates.length || candidates[candidates.length - 1].entropy <= 0) throw new Error('No templates with any entropy to choose from');
+
+	const mutatorEntropy = new RPMutator(options.mutator).entropy();
+	const reachable = MAX_CHAINED_TEMPLATES * candidates[candidates.length - 1].entropy + mutatorEntropy;
+	if (minEntropy > reachable) throw new RangeError(`Cannot reach ${minEntropy} bits of entropy: ${MAX_CHAINED_TEMPLATES} templates in a row give about ${Math.floor(reachable)} at most`);
+	// one source for every phrase, so a seed gives a different (but repeatable) phrase each time
+	const sharedRandomness = options.seed !== undefined ? seededRandomness(options.seed) : options.randomness;
+	const generatePlan = (plan, planRandomness) => {
+		const phrase = new ReadablePassphrase(undefined, options.mutator, {
+			randomness: planRandomness,
+			punctuation: options.punctuation,
+			casing: options.casing,
+			lowerProperNouns: options.lowerProperNouns,
+		});
+		if (options.separator !== undefined) phrase.mutator.separator = options.separator;
+		for (const template of plan) phrase.addTemplate(template.name);
+		return phrase;
+	};
+
+	const plan = [];
+	let missing = minEntropy - mutatorEntropy;
+	do {
+		const chosen = candidates.find((candidate) => candidate.entropy >= missing) || candidates[candidates.length - 1];
+		plan.push(chosen);
+		missing -= chosen.entropy;
+	} while (missing > 0);
+	if (options.maxLength === undefined) return () => generatePlan(plan, sharedRandomness);
+
+	const plans = [plan];
+	const planEntropy = plan.reduce((total, template) => total + template.entropy, 0);
+	for (const template of [...candidates].reverse()) {
+		if (template.entropy < planEntropy) plans.push([template]);
+	}
+
+	for (const thisPlan of plans) {
+		const estimate = thisPlan.reduce((total, template) => total + template.entropy, 0) + mutatorEntropy;
+		if (estimate < minEntropy) break; // the rest are weaker still
+
+		const sampleRandomness = seededRandomness(MAX_LENGTH_SEED);
+		let fits = 0;
+		for (let sample = 0; sample < MAX_LENGTH_SAMPLES; sample++) {
+			if (longestRendering(generatePlan(thisPlan, sampleRandomness)) <= options.maxLength) fits++;
+		}
+		if (!fits) continue;
+
+		const lost = maxLengthLoss(fits, MAX_LENGTH_SAMPLES);
+		if (estimate - lost < minEntropy) continue;
+		const attempts = Math.ceil((MAX_LENGTH_PATIENCE * MAX_LENGTH_SAMPLES) / fits);
+		return () => {
+			for (let attempt = 0; attempt < attempts; attempt++) {
+				const phrase = generatePlan(thisPlan, sharedRandomness);
+				if (longestRendering(phrase) > options.maxLength) continue;
+				if (lost > 0) phrase.entropyLog.push({ clause: null, kind: 'constraint', source: 'maxLength', bits: -lost });
+				return phrase;
+			}
+			throw new Error(`Could not generate a phrase of at most ${options.maxLength} characters in ${attempts} attempts`);
+		};
+	}
+	throw new Error(`Could not generate a phrase of at most ${options.maxLength} characters` + (minEntropy ? ` with at least ${minEntropy} bits of entropy` : ''));
+}
+
+// looks up a profile by name (see ReadablePassphrase.profiles)
+function getProfile(name) {
+	if (!Object.prototype.hasOwnProperty.call(ReadablePassphrase.profiles, name)) throw new Error(`Unknown profile: ${name}`);
+	return ReadablePassphrase.profiles[name];
+}
+
+// calls generate(options) or generateMany(count, options) (as `generator`) with options.profile's word bounds and mutator
+function withProfile(options, generator) {
+	const profile = getProfile(options.profile);
+	const mutator = profile.wordBoundaryMutator && options.mutator ? RPMutator.atWordBoundaries(options.mutator) : options.mutator;
+	return RPWordList.withWordBounds(profile.wordBounds || {}, () => generator({ ...options, profile: undefined, mutator }));
+}
+
+// capitalizes the first letter of a word
+function capitalize(word) {
+	return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ *  The words of a phrase, with the casing and punctuation the phrase asks for.  Casing is 'sentence' (the first
+ *  word of each sentence capitalized), 'title' (every word capitalized) or 'lower' (no capitals at all), after
+ *  proper nouns are lowercased if lowerProperNouns is set.  Punctuation is a '?' or '.' at the end of each
+ *  sentence, a comma after a speech verb and (for 'quotes') quotes around what is said.  Both are decided by
+ *  the types of the words, so they add no entropy.
+ *  @param {ReadablePassphrase} phrase
+ *  @return {string[]} the words (some of which have spaces in, eg "will eat")
+ */
+function renderedWords(phrase) {
+	const words = phrase.parts.map((part) => (phrase.lowerProperNouns && part.hasTypes('properNoun') ? part.value.toLowerCase() : part.value));
+	if (phrase.casing === 'lower') words.forEach((word, wordNum) => (words[wordNum] = word.toLowerCase()));
+	if (phrase.casing === 'title') words.forEach((word, wordNum) => (words[wordNum] = word.split(' ').map(capitalize).join(' ')));
+	if (!phrase.punctuation && phrase.casing !== 'sentence') return words;
+
+	const starts = phrase.sentenceStarts[0] === 0 ? phrase.sentenceStarts : [0].concat(phrase.sentenceStarts);
+	starts.forEach((start, sentence) => {
+		const end = sentence + 1 < starts.length ? starts[sentence + 1] : words.length;
+		if (start >= end) return; // (no words)
+		let question = false;
+		let speechFrom = null;
+		for (let wordNum = start; wordNum < end; wordNum++) {
+			if (phrase.parts[wordNum].hasTypes('interrogative')) question = true;
+			if (phrase.parts[wordNum].hasTypes('speechVerb') && wordNum + 1 < end) speechFrom = wordNum + 1;
+		}
+		if (phrase.casing === 'sentence') {
+			words[start] = capitalize(words[start]);
+			if (phrase.punctuation === 'quotes' && speechFrom !== null) words[speechFrom] = capitalize(words[speechFrom]); // (a quote is a sentence of its own)
+		}
+		if (!phrase.punctuation) return;
+
+		if (speechFrom !== null) words[speechFrom - 1] += ',';
+		words[end - 1] += question ? '?' : '.';
+		if (phrase.punctuation === 'quotes' && speechFrom !== null) {
+			words[speechFrom] = `"${words[speechFrom]}`;
+			words[end - 1] += '"';
+		}
+	});
+	return words;
+}
 
 /**
  *  ReadablePassphrase objects generate random english sentences
@@ -11,12 +200,43 @@ export class ReadablePassphrase {
 	/**
 	 *  @param {(string|object)} [template] - create a sentence using the given template (either a string name of a predefined template, or an RPSentenceTemplate object)
 	 *  @param {(string|object)} [mutator]  - use a mutator to add random uppercase & numbers (either a string name of a predefined mutator, or an RPMutator object)
+	 *  @param {object} [options]
+	 *  @param {function} [options.randomness] - randomness source for this phrase only, with the same signature as
+	 *    ReadablePassphrase.randomness; used for the template, every word list and the mutator
+	 *  @param {(string|number|bigint|Uint8Array)} [options.seed] - generate deterministically from this seed instead of
+	 *    ReadablePassphrase.randomness: the same seed, template and mutator always produce the same phrase
+	 *  If neither is given, ReadablePassphrase.randomness is used (looked up at the time of each draw).
+	 *  @param {(boolean|string)} [options.punctuation=false] - end each sentence with '?' or '.' and put a comma after
+	 *    speech verbs; 'quotes' also quotes what is said.  Added before the mutator, and adds no entropy.
+	 *  @param {string} [options.casing] - 'sentence' to capitalize the first word of each sentence, 'title' to capitalize
+	 *    every word or 'lower' for no capitals at all (default: as the words come, ie. only proper nouns are capitalized).
+	 *    Applied before the mutator, and adds no entropy.
+	 *  @param {boolean} [options.lowerProperNouns=false] - lowercase proper nouns (eg. to make the phrase easier to type on a phone)
 	 */
-	constructor(template, mutator) {
+	constructor(template, mutator, options) {
+		options = options || {};
+		if (options.randomness !== undefined && typeof options.randomness !== 'function') throw new TypeError('options.randomness must be a function');
+		if (options.randomness && options.seed !== undefined) throw new Error('Pass either options.randomness or options.seed, not both');
+		if (![undefined, false, true, 'quotes'].includes(options.punctuation)) throw new Error(`options.punctuation must be true, false or 'quotes', got: ${options.punctuation}`);
+		if (![undefined, 'sentence', 'title', 'lower'].includes(options.casing)) throw new Error(`options.casing must be 'sentence', 'title' or 'lower', got: ${options.casing}`);
+
 		this.parts = [];
 		this.length = 0;
 		this.usedWords = {};
-		this.mutator = new RPMutator(mutator);
+		this.entropyLog = []; // one { clause, kind, source, bits } entry per random choice made while generating
+		this.mutationEntropy = []; // the same, for the mutator's choices in the most recent toString()
+		this.mutationEdits = []; // the mutator's changes in the most recent toString() (see RPMutator.mutate())
+		this.mutationSeparator = null; // ...and the separator it used
+		this.clauseCount = 0;
+		this.currentClause = null;
+		this.sentenceStart = 0; // index in parts[] of the first word of the current template
+		this.sentenceStarts = []; // ...and of every template, for casing and punctuation
+		this.templatesAdded = []; // every template added, as given to addTemplate() (a name or an RPSentenceTemplate)
+		this.punctuation = options.punctuation || false;
+		this.casing = options.casing;
+		this.lowerProperNouns = Boolean(options.lowerProperNouns);
+		this.randomness = options.seed !== undefined ? seededRandomness(options.seed) : options.randomness;
+		this.mutator = new RPMutator(mutator, this.randomness);
 
 		if (template) this.addTemplate(template);
 	}
@@ -25,12 +245,95 @@ export class ReadablePassphrase {
 	 *  Get the string representation of the generated phrase
 	 *  @param {string} [separator] - overrides the mutator's configured word separator for this call only
 	 *    (eg. '-' or '' for password fields that don't accept spaces); defaults to ' '
-	 *  @return {string} A phrase, eg "the milk will eat the angry decision"
+	 *  @return {string} A phrase, eg "the milk will eat the angry decision" (or "... decision." with punctuation)
 	 */
 	toString(separator) {
-		const phrase = [];
-		for (let wordNum = 0; wordNum < this.parts.length; wordNum++) phrase.push(this.parts[wordNum].value);
-		return this.mutator.mutate(phrase.join(' '), separator);
+		this.mutationEntropy = [];
+		this.mutationEdits = [];
+		this.mutationSeparator = separator === undefined ? this.mutator.separator : separator;
+		return this.mutator.mutate(renderedWords(this).join(' '), separator, this.mutationEntropy, this.mutationEdits);
+	}
+
+	/**
+	 *  Get the words of the phrase with their roles, eg. to show nouns, verbs and adjectives in different colours.
+	 *  Joining the tokens' text with the separator gives the most recent toString() (or the unmutated phrase, before
+	 *  the first call).  The format is stable: the same fields, with the same meanings, in every version.
+	 *  @return {object[]} one { value, text, types, clause, mutations } object for each word in parts[], where value is the
+	 *    word as chosen (eg. 'will eat'), text is how it appears, with casing, punctuation, mutations and the separator,
+	 *    types is a list of the word's types (see RPWord), clause is the index of the clause it came from (null if none),
+	 *    and mutations are the mutator's changes to it (see RPMutator.mutate(), with word counted within the token)
+	 */
+	toTokens() {
+		const rendered = renderedWords(this);
+		let firstWord = 0; // index, in the mutator's words, of the current token's first word
+		return this.parts.map((part, partNum) => {
+			const wordCount = rendered[partNum].split(' ').length;
+			const mutations = this.mutationEdits
+				.filter((edit) => edit.word >= firstWord && edit.word < firstWord + wordCount)
+				.map((edit) => ({ ...edit, word: edit.word - firstWord }));
+			firstWord += wordCount;
+			return {
+				value: part.value,
+				text: RPMutator.applyEdits(rendered[partNum], mutations, this.mutationSeparator === null ? this.mutator.separator : this.mutationSeparator),
+				types: Object.keys(part.types),
+				clause: part.clause,
+				mutations,
+			};
+		});
+	}
+
+	/**
+	 *  Describe the mutator's changes in the most recent toString(), eg. to show as a hint next to the phrase
+	 *  @return {string[]} one description for each change, in the order they were made (see RPMutator.describeEdits())
+	 */
+	mutationHints() {
+		return RPMutator.describeEdits(renderedWords(this).join(' '), this.mutationEdits);
+	}
+
+	/**
+	 *  Get the number of bits of entropy in this specific phrase: the sum of log2 of the odds of every random
+	 *  choice actually made while generating it (unlike RPSentenceTemplate.entropyOf(), which is an average over
+	 *  every phrase a template could produce).  The mutator's choices are those of the most recent toString() call.
+	 *  @return {number} floating-point number of bits
+	 */
+	entropy() {
+		let total = 0;
+		for (const entry of this.entropyBreakdown()) total += entry.bits;
+		return total;
+	}
+
+	/**
+	 *  Get the random choices that make up entropy(), in the order they were made
+	 *  @return {object[]} a list of { clause, kind, source, bits } objects, where:
+	 *    clause is the index of the clause in the phrase (null for the choice of template and for the mutator),
+	 *    kind is 'template', 'factor', 'word', 'mutator' or 'constraint' (entropy lost to a limit or an ordering rule, with negative bits),
+	 *    and source names what was chosen, eg the template collection 'random', the factor 'subtype', the word type 'noun' or the mutation 'upperWords'
+	 */
+	entropyBreakdown() {
+		return this.entropyLog.concat(this.mutationEntropy.map((entry) => ({ clause: null, kind: 'mutator', source: entry.source, bits: entry.bits })));
+	}
+
+	/**
+	 *  Record a random choice made while generating the phrase (see entropyBreakdown())
+	 *  @param {string} kind - 'template', 'factor' or 'word'
+	 *  @param {string} source - what was chosen
+	 *  @param {number} bits - log2 of the odds against the choice that was made
+	 */
+	recordEntropy(kind, source, bits) {
+		if (bits > 0) this.entropyLog.push({ clause: this.currentClause, kind, source, bits });
+	}
+
+	/**
+	 *  Get the value of a factor (see RPRandomFactors.byName) and record the choice
+	 *  @param {object} factors - an RPRandomFactors object
+	 *  @param {string} factorName - name of the factor being requested
+	 *  @return {string|boolean} the randomly-chosen value of the factor
+	 */
+	chooseFactor(factors, factorName) {
+		const value = factors.byName(factorName, this.randomness);
+		const chance = factors.chanceOf(factorName, value);
+		if (chance > 0) this.recordEntropy('factor', factorName, -Math.log2(chance));
+		return value;
 	}
 
 	// ****** methods called by addTemplate() *******
@@ -41,8 +344,17 @@ export class ReadablePassphrase {
 	 *  @param {(string|object)} template - use the given template (either a string name of a predefined template, or an RPSentenceTemplate object)
 	 */
 	addTemplate(template) {
-		if (typeof template === 'string') template = RPSentenceTemplate.byName(template);
+		this.templatesAdded.push(template);
+		if (typeof template === 'string') {
+			const name = template;
+			const named = RPSentenceTemplate.templates[name];
+			template = RPSentenceTemplate.byName(name, this.randomness);
+			this.currentClause = null;
+			if (typeof named[0] === 'string') this.recordEntropy('template', name, Math.log2(named.length));
+		}
 		this.template = template;
+		this.sentenceStart = this.length;
+		this.sentenceStarts.push(this.length);
 		for (let templateNumber = 0; templateNumber < template.length; templateNumber++) {
 			const thisTemplate = template[templateNumber];
 			const finalize = this.addClause(new RPRandomFactors(thisTemplate));
@@ -74,17 +386,22 @@ export class ReadablePassphrase {
 	 *  @return {boolean} returns true if no more clauses should be added after this
 	 */
 	addClause(factors) {
+		this.currentClause = this.clauseCount++;
 		switch (factors.type) {
 			case 'noun':
 				return this.addNoun(factors);
 			case 'verb':
 				return this.addVerb(factors);
 			case 'conjunction':
-				this.appendWord(RPWordList.conjunctions.getRandomWord(this.usedWords));
+				this.appendWord(RPWordList.conjunctions.getRandomWord(this.usedWords, this.randomness));
 				return false;
 			case 'directSpeech':
-				this.appendWord(RPWordList.speechVerbs.getRandomWord(this.usedWords));
+				this.appendWord(RPWordList.speechVerbs.getRandomWord(this.usedWords, this.randomness));
 				return false;
+			case 'relativeClause':
+				return this.addRelativeClause(factors);
+			case 'prepositionalPhrase':
+				return this.addPrepositionalPhrase(factors);
 			default:
 				throw new Error(`Unexpected clause type: ${factors.type}`);
 		}
@@ -106,8 +423,10 @@ export class ReadablePassphrase {
 	 *  @return {ReadablePassphrase} returns the current ReadablePassphrase object
 	 */
 	insertWord(word, position) {
+		word.clause = this.currentClause;
 		this.parts.splice(position, 0, word);
 		this.usedWords[word.value] = true;
+		this.recordEntropy('word', Object.keys(word.types)[0], word.entropy);
 		this.length++;
 		return this;
 	}
@@ -122,14 +441,18 @@ export class ReadablePassphrase {
 		let firstNoun = null;
 		let firstIndefinitePronoun = null;
 		let pluralVerb = null;
-		let insertInterrogative = 0;
-		for (let wordNumber = 0; wordNumber < this.length; wordNumber++) {
+		let insertInterrogative = this.sentenceStart;
+		let inRelativeClause = false; // (the nouns in "the dog that ate the cakes" aren't the subject)
+		for (let wordNumber = this.sentenceStart; wordNumber < this.length; wordNumber++) {
 			const thisWord = this.parts[wordNumber];
-			if (!firstNoun && thisWord.hasTypes('noun')) firstNoun = thisWord;
+			if (thisWord.hasTypes('relativePronoun')) inRelativeClause = true;
 			else if (thisWord.hasTypes('speechVerb')) {
 				firstNoun = null;
+				inRelativeClause = false;
 				insertInterrogative = wordNumber + 1;
-			} else if (!firstIndefinitePronoun && thisWord.hasTypes('indefinitePronoun')) firstIndefinitePronoun = thisWord;
+			} else if (inRelativeClause) continue;
+			else if (!firstNoun && thisWord.hasTypes('noun')) firstNoun = thisWord;
+			else if (!firstIndefinitePronoun && thisWord.hasTypes('indefinitePronoun')) firstIndefinitePronoun = thisWord;
 		}
 
 		if (firstNoun) pluralVerb = firstNoun.hasTypes('plural');
@@ -139,10 +462,13 @@ export class ReadablePassphrase {
 		let selectTransitive = true;
 		let removeAccusativeNoun = false;
 		let addPreposition = false;
-		const intransitiveType = factors.byName('intransitive');
+		// (choices are only drawn - and counted towards entropy() - when they can change the phrase)
+		const allowIntransitive = factors.intransitive && factors.chanceOf('intransitive', true);
 
-		if (intransitiveType && RPWordListVerb.getRandomTransitivity() === 'intransitive') {
+		if (allowIntransitive && RPWordListVerb.getRandomTransitivity(this.randomness) === 'intransitive') {
+			this.recordEntropy('factor', 'transitivity', Math.log2((RPWordList.verbs.length + RPWordList.intransitiveVerbs.length) / RPWordList.intransitiveVerbs.length));
 			selectTransitive = false;
+			const intransitiveType = this.chooseFactor(factors, 'intransitive');
 			switch (intransitiveType) {
 				case 'noNounClause':
 					removeAccusativeNoun = true;
@@ -153,48 +479,93 @@ export class ReadablePassphrase {
 				default:
 					throw new Error(`Unexpected intransitive type: ${intransitiveType}`);
 			}
+		} else if (allowIntransitive) {
+			this.recordEntropy('factor', 'transitivity', Math.log2((RPWordList.verbs.length + RPWordList.intransitiveVerbs.length) / RPWordList.verbs.length));
 		}
 
-		const makeInterrogative = factors.byName('interrogative');
-		let tense = factors.byName('subtype');
-		if (makeInterrogative) {
-			this.insertWord(RPWordList.interrogatives.getRandomWord(pluralVerb), insertInterrogative, this.usedWords);
+		let tense;
+		if (this.chooseFactor(factors, 'interrogative')) {
+			this.insertWord(RPWordList.interrogatives.getRandomWord(pluralVerb, undefined, this.randomness), insertInterrogative);
 			pluralVerb = true;
 			tense = 'presentPlural';
-		}
+		} else tense = this.chooseFactor(factors, 'subtype');
 
-		const includeAdverb = factors.byName('adverb') ? (randomness(2) >= 1 ? 'before' : 'after') : 'no';
-		if (includeAdverb === 'before') this.appendWord(RPWordList.adverbs.getRandomWord(this.usedWords));
+		let includeAdverb = 'no';
+		if (this.chooseFactor(factors, 'adverb')) {
+			includeAdverb = ReadablePassphrase.randomInt(2, this.randomness) ? 'before' : 'after';
+			this.recordEntropy('factor', 'adverbPosition', 1);
+		}
+		if (includeAdverb === 'before') this.appendWord(RPWordList.adverbs.getRandomWord(this.usedWords, this.randomness));
 
-		this.appendWord(RPWordList[selectTransitive ? 'verbs' : 'intransitiveVerbs'].getRandomWord(tense, pluralVerb, this.usedWords));
+		this.appendWord(RPWordList[selectTransitive ? 'verbs' : 'intransitiveVerbs'].getRandomWord(tense, pluralVerb, this.usedWords, this.randomness));
 
-		if (includeAdverb === 'after') this.appendWord(RPWordList.adverbs.getRandomWord(this.usedWords));
-		if (addPreposition) this.appendWord(RPWordList.prepositions.getRandomWord(this.usedWords));
+		if (includeAdverb === 'after') this.appendWord(RPWordList.adverbs.getRandomWord(this.usedWords, this.randomness));
+		if (addPreposition) this.appendWord(RPWordList.prepositions.getRandomWord(this.usedWords, this.randomness));
 
 		if (removeAccusativeNoun) return true; // Returning true means the sentence is done
 		return false;
 	}
 
+	/**
+	 *  Add a relative clause to the current passphrase, describing the noun before it (eg. "that ate", in "the dog that ate the cake")
+	 *  @param {object} factors - an object representing a relative clause (see README for examples)
+	 *  @return {boolean} returns true if no more clauses should be added after this (currently always false)
+	 */
+	addRelativeClause(factors) {
+		// the verb agrees with the noun the clause describes, not with the subject of the sentence
+		let describes = null;
+		for (let wordNumber = this.length - 1; wordNumber >= this.sentenceStart && !describes; wordNumber--) {
+			if (this.parts[wordNumber].hasTypes('noun') || this.parts[wordNumber].hasTypes('properNoun') || this.parts[wordNumber].hasTypes('indefinitePronoun')) {
+				describes = this.parts[wordNumber];
+			}
+		}
+		const pluralVerb = describes ? describes.hasTypes('plural') : false;
+		this.appendWord(RPWordList.relativePronouns.getRandomWord(undefined, this.randomness));
+
+		const tense = this.chooseFactor(factors, 'subtype');
+		let includeAdverb = 'no';
+		if (this.chooseFactor(factors, 'adverb')) {
+			includeAdverb = ReadablePassphrase.randomInt(2, this.randomness) ? 'before' : 'after';
+			this.recordEntropy('factor', 'adverbPosition', 1);
+		}
+		if (includeAdverb === 'before') this.appendWord(RPWordList.adverbs.getRandomWord(this.usedWords, this.randomness));
+		this.appendWord(RPWordList.verbs.getRandomWord(tense, pluralVerb, this.usedWords, this.randomness));
+		if (includeAdverb === 'after') this.appendWord(RPWordList.adverbs.getRandomWord(this.usedWords, this.randomness));
+		return false;
+	}
+
 	/**
 	 *  Add a Noun clause to the current passphrase
 	 *  @param {object} factors - an object representing a noun clause (see README for examples)
 	 *  @return {boolean} returns true if no more clauses should be added after this (currently always false)
 	 */
 	addNoun(factors) {
-		const n = factors.byName('subtype');
+		const n = this.chooseFactor(factors, 'subtype');
 		switch (n) {
 			case 'common':
 				return this.addCommonNoun(factors);
 			case 'nounFromAdjective':
 				return this.addNounFromAdjective(factors);
 			case 'proper':
-				this.appendWord(RPWordList.properNouns.getRandomWord(this.usedWords));
+				this.appendWord(RPWordList.properNouns.getRandomWord(this.usedWords, this.randomness));
 				return false;
 			default:
 				throw new Error(`Unknown noun subtype: ${n}`);
 		}
 	}
 
+	/**
+	 *  Add a prepositional phrase to the current passphrase (eg. "in the garden", after "the dog ate the cake")
+	 *  @param {object} factors - an object representing a prepositional phrase: a noun clause with an 'include' factor instead of 'preposition' (see README)
+	 *  @return {boolean} returns true if no more clauses should be added after this (currently always false)
+	 */
+	addPrepositionalPhrase(factors) {
+		if (!this.chooseFactor(factors, 'include')) return false;
+		// (with a preposition last, addNounPrelude() won't add another)
+		this.appendWord(RPWordList.prepositions.getRandomWord(this.usedWords, this.randomness));
+		return this.addNoun(factors);
+	}
+
 	/**
 	 *  Add a common Noun clause to the current passphrase (eg. "dog", "cat", "justice")
 	 *  @param {object} factors - an object representing a noun clause (see README for examples)
@@ -202,16 +573,40 @@ export class ReadablePassphrase {
 	 */
 	addCommonNoun(factors) {
 		const isPlural = this.addNounPrelude(factors);
-		if (factors.byName('number') && (isPlural || factors.mustBeTrue('singular'))) {
-			if (!isPlural && !(this.length && this.last().hasTypes(['article', 'indefinite']))) this.appendWord(RPWordList.numbers.getSingularNumberWord());
-			else if (isPlural) this.appendWord(RPWordList.numbers.getPluralNumberWord());
+		const canAddNumber = isPlural || (factors.mustBeTrue('singular') && !(this.length && this.last().hasTypes(['article', 'indefinite'])));
+		if (canAddNumber && this.chooseFactor(factors, 'number')) {
+			this.appendWord(isPlural ? RPWordList.numbers.getPluralNumberWord(this.randomness) : RPWordList.numbers.getSingularNumberWord());
 		}
 
-		if (factors.byName('adjective')) this.appendWord(RPWordList.adjectives.getRandomWord(this.usedWords));
-		this.appendWord(RPWordList.nouns.getRandomWord(isPlural, this.usedWords));
+		if (factors.adjectives !== undefined) this.addAdjectives(Number(this.chooseFactor(factors, 'adjectives')));
+		else if (this.chooseFactor(factors, 'adjective')) this.addAdjectives(1);
+		this.appendWord(RPWordList.nouns.getRandomWord(isPlural, this.usedWords, this.randomness));
 		return false;
 	}
 
+	/**
+	 *  Add some different adjectives to the current passphrase, in the usual English order (see RPWordList.adjectiveOrder)
+	 *  @param {number} count - how many adjectives to add
+	 */
+	addAdjectives(count) {
+		const rankOf = (word) => RPWordList.adjectiveOrder.findIndex((group) => group.includes(word.value)) + 1; // 0 for an opinion
+		const adjectives = [];
+		for (let i = 0; i < count; i++) {
+			const word = RPWordList.adjectives.getRandomWord(this.usedWords, this.randomness);
+			this.usedWords[word.value] = true;
+			adjectives.push({ word, rank: rankOf(word) });
+		}
+		adjectives.sort((a, b) => a.rank - b.rank); // (stable, so adjectives of the same kind stay in the order they were picked)
+		adjectives.forEach((adjective) => this.appendWord(adjective.word));
+
+		// every order the adjectives could have been picked in that sorts the same way gives the same phrase
+		const log2Factorial = (n) => (n > 1 ? Math.log2(n) + log2Factorial(n - 1) : 0);
+		const sameRank = {};
+		adjectives.forEach((adjective) => (sameRank[adjective.rank] = (sameRank[adjective.rank] || 0) + 1));
+		const lost = Object.values(sameRank).reduce((bits, n) => bits - log2Factorial(n), log2Factorial(count));
+		if (lost > 0) this.entropyLog.push({ clause: this.currentClause, kind: 'constraint', source: 'adjectiveOrder', bits: -lost });
+	}
+
 	/**
 	 *  Construct a Noun clause from an adjective and add it to the current passphrase, eg. "a green thing"
 	 *  @param {object} factors - an object representing a noun clause (see README for examples)
@@ -219,9 +614,10 @@ export class ReadablePassphrase {
 	 */
 	addNounFromAdjective(factors) {
 		const isPlural = this.addNounPrelude(factors);
-		this.appendWord(RPWordList.adjectives.getRandomWord(this.usedWords));
-		const isPersonal = randomness(2) >= 1;
-		this.appendWord(RPWordList.indefinitePronouns.getRandomWord(isPersonal, isPlural, this.usedWords));
+		this.appendWord(RPWordList.adjectives.getRandomWord(this.usedWords, this.randomness));
+		const isPersonal = ReadablePassphrase.randomInt(2, this.randomness) === 1;
+		this.recordEntropy('factor', 'personal', 1);
+		this.appendWord(RPWordList.indefinitePronouns.getRandomWord(isPersonal, isPlural, this.randomness));
 		return false;
 	}
 
@@ -231,26 +627,26 @@ export class ReadablePassphrase {
 	 *  @return {boolean} returns true if the following noun should be plural
 	 */
 	addNounPrelude(factors) {
-		if (factors.byName('preposition') && (!this.last() || !this.last().hasTypes('preposition'))) {
-			this.appendWord(RPWordList.prepositions.getRandomWord(this.usedWords));
+		if ((!this.last() || !this.last().hasTypes('preposition')) && this.chooseFactor(factors, 'preposition')) {
+			this.appendWord(RPWordList.prepositions.getRandomWord(this.usedWords, this.randomness));
 		}
 
-		const isPlural = !factors.byName('singular');
+		const isPlural = !this.chooseFactor(factors, 'singular');
 
-		switch (factors.byName(isPlural ? 'articlePlural' : 'articleSingular')) {
+		switch (this.chooseFactor(factors, isPlural ? 'articlePlural' : 'articleSingular')) {
 			case 'none':
 				break; // shouldn't come up for Singular
 			case 'definite':
-				this.appendWord(RPWordList.articles.getRandomDefiniteArticle());
+				this.appendWord(RPWordList.articles.getRandomDefiniteArticle(this.randomness));
 				break;
 			case 'indefinite':
-				this.appendWord(RPWordList.articles.getRandomIndefiniteArticle());
+				this.appendWord(RPWordList.articles.getRandomIndefiniteArticle(this.randomness));
 				break; // shouldn't come up for Plural
 			case 'demonstrative':
-				this.appendWord(RPWordList.demonstratives.getRandomWord(isPlural));
+				this.appendWord(RPWordList.demonstratives.getRandomWord(isPlural, undefined, this.randomness));
 				break;
 			case 'personalPronoun':
-				this.appendWord(RPWordList.personalPronouns.getRandomWord(isPlural, this.usedWords));
+				this.appendWord(RPWordList.personalPronouns.getRandomWord(isPlural, this.usedWords, this.randomness));
 				break;
 			default:
 				throw new Error('Unknown case result from computeFactor');
@@ -261,20 +657,186 @@ export class ReadablePassphrase {
 }
 
 /**
- *  Used by all ReadablePassphrase objects as a source of randomness. Defaults to a cryptographically
- *  strong source (see rng.js); replace this function to plug in your own randomness source.
+ *  Used by ReadablePassphrase objects as a source of randomness, unless they were given their own
+ *  (see the constructor's options). Defaults to a cryptographically strong source (see rng.js);
+ *  replace this function to plug in your own randomness source for every generator at once.
  *  @param {number} [multiplier=1] - get a value between 0 and multiplier (including 0, but not including multiplier)
  *  @return {number} A random, floating-point number between 0 and 1 (or multiplier, if provided)
  */
 ReadablePassphrase.randomness = randomness;
 
 /**
- *  Convenience function: get a random integer
+ *  Create a deterministic, cryptographically-strong randomness source from a seed (see rng.js).
+ *  Exposed here so the browser build, which only publishes a few globals, can reach it too.
+ *  @param {(string|number|bigint|Uint8Array)} seed
+ *  @return {function(number=): number} a randomness function, usable anywhere ReadablePassphrase.randomness is
+ */
+ReadablePassphrase.seededRandomness = seededRandomness;
+
+/**
+ *  Convenience function: get a random integer.  Every result is equally likely (see randomInt() in rng.js)
  *  @param {number} [multiplier=2] Get a random number between 0 and multiplier (including 0 but not including multiplier)
+ *  @param {function} [randomness] - a per-instance randomness source; defaults to ReadablePassphrase.randomness
  *  @return {number} A random integer
  */
-ReadablePassphrase.randomInt = function (multiplier) {
-	return Math.floor(ReadablePassphrase.randomness(multiplier || 2));
+ReadablePassphrase.randomInt = function (multiplier, randomness) {
+	return randomInt(multiplier || 2, randomness || ReadablePassphrase.randomness);
+};
+
+/**
+ *  Generate a phrase that meets a minimum entropy, by picking templates and chaining them one after another.
+ *  Each step adds the shortest (lowest-entropy) template that covers what's still missing, or the strongest
+ *  one available if none does. Progress is measured with the same estimates as ReadablePassphrase.entropyOf(),
+ *  so the choice of templates never depends on the words that came out; the result's entropy() reports the
+ *  actual figure for the phrase.
+ *
+ *  With maxLength, phrases are resampled until one fits.  The entropy lost to the limit is estimated (on the
+ *  generous side) from how many of 64 phrases, sampled from a fixed seed, fit, so the same options always lose the
+ *  same bits; it's recorded in the phrase's entropyBreakdown() (kind 'constraint') and so subtracted from its
+ *  entropy(). If the templates never fit, the strongest shorter (lower-entropy) one of
+ *  options.templates that does is used instead, as long as the phrase still meets minEntropy after the loss.
+ *  @param {object} [options]
+ *  @param {number} [options.minEntropy=0] - bits of entropy the phrase must have (template + mutator); up to 4 templates are chained to reach it
+ *  @param {number} [options.maxLength] - maximum length of the phrase in characters, after the separator and mutator are applied
+ *  @param {string[]} [options.templates] - names of the templates to choose from (default: all of them)
+ *  @param {(string|object)} [options.mutator] - a mutator (name or spec) to apply; its entropy counts towards minEntropy
+ *  @param {string} [options.separator] - string to join words with (default: the mutator's separator)
+ *  @param {function} [options.randomness] - see the ReadablePassphrase constructor
+ *  @param {(string|number|bigint|Uint8Array)} [options.seed] - see the ReadablePassphrase constructor
+ *  @param {(boolean|string)} [options.punctuation] - see the ReadablePassphrase constructor; counts towards maxLength
+ *  @param {string} [options.casing] - see the ReadablePassphrase constructor
+ *  @param {boolean} [options.lowerProperNouns] - see the ReadablePassphrase constructor
+ *  @param {number} [options.maxTier] - only use words this common for this phrase: 1 for common words only, 2 to leave
+ *    out rare ones (see RPWordList.setWordBounds()).  Templates are picked, and entropy counted, from the smaller word lists
+ *  @param {string} [options.profile] - generate this phrase for where it will be typed, eg. 'mobile' (see
+ *    ReadablePassphrase.profiles); as with maxTier, templates are picked, and entropy counted, for what the profile leaves
+ *  @return {ReadablePassphrase} the generated phrase
+ *  @throws {RangeError} if minEntropy is negative, not finite, or more than 4 of the strongest templates can reach
+ *    (or maxLength isn't a positive whole number)
+ */
+ReadablePassphrase.generate = function (options) {
+	options = options || {};
+	if (options.profile !== undefined) return withProfile(options, ReadablePassphrase.generate);
+	if (options.maxTier !== undefined) return RPWordList.withWordBounds({ maxTier: options.maxTier }, () => ReadablePassphrase.generate({ ...options, maxTier: undefined }));
+	return phraseMaker(options)();
+};
+
+/**
+ *  Generate a batch of phrases, eg. to hand out temporary passwords, as ReadablePassphrase.generate() would one at a time.
+ *  The collision probability is the chance that any two phrases of the batch come out the same (before duplicates
+ *  are thrown away), by the birthday bound on the weakest phrase's estimated entropy: the estimates of its templates
+ *  (see RPSentenceTemplate.entropyOf()) and mutator, less any lost to maxLength.
+ *  @param {number} count - how many phrases to generate
+ *  @param {object} [options] - see ReadablePassphrase.generate(), plus:
+ *  @param {boolean} [options.unique=true] - make every phrase different, by generating another in place of a duplicate
+ *  @return {object} { phrases, entropy, collisionProbability }: the phrases as strings (mutated and joined with
+ *    options.separator), the estimated bits of entropy of the weakest, and the collision probability for count phrases
+ *  @throws {Error} if the options can't give count distinct phrases (eg. a template with only a handful of phrases)
+ */
+ReadablePassphrase.generateMany = function (count, options) {
+	options = options || {};
+	if (!Number.isInteger(count) || count < 0) throw new Error(`count must be a whole number, got: ${count}`);
+	if (options.profile !== undefined) return withProfile(options, (profiled) => ReadablePassphrase.generateMany(count, profiled));
+	if (options.maxTier !== undefined) return RPWordList.withWordBounds({ maxTier: options.maxTier }, () => ReadablePassphrase.generateMany(count, { ...options, maxTier: undefined }));
+	const unique = options.unique !== false;
+	// one source for the whole batch, so a seed doesn't give the same phrase every time
+	const each = { ...options, seed: undefined, randomness: options.seed !== undefined ? seededRandomness(options.seed) : options.randomness };
+	const mutatorEntropy = new RPMutator(options.mutator).entropy();
+	const templateEntropy = (template) => (typeof template === 'string' ? RPSentenceTemplate.entropyOf(template) : template.entropy());
+
+	const makePhrase = count ? phraseMaker(each) : null;
+	const phrases = [];
+	const seen = new Set();
+	let entropy = Infinity;
+	let duplicates = 0;
+	while (phrases.length < count) {
+		const phrase = makePhrase();
+		const string = phrase.toString(options.separator);
+		if (unique && seen.has(string)) {
+			if (++duplicates >= MAX_DUPLICATES) throw new Error(`Could not generate ${count} distinct phrases (only found ${phrases.length})`);
+			continue;
+		}
+		duplicates = 0;
+		seen.add(string);
+		phrases.push(string);
+
+		let estimate = mutatorEntropy;
+		phrase.templatesAdded.forEach((template) => {
+			estimate += templateEntropy(template);
+		});
+		phrase.entropyLog.forEach((entry) => {
+			if (entry.kind === 'constraint' && entry.source === 'maxLength') estimate += entry.bits;
+		});
+		entropy = Math.min(entropy, estimate);
+	}
+
+	const pairs = (count * (count - 1)) / 2;
+	const collisionProbability = pairs ? -Math.expm1(-pairs / Math.pow(2, entropy)) : 0;
+	return { phrases, entropy: phrases.length ? entropy : 0, collisionProbability };
+};
+
+/**
+ *  Leave words out of every phrase generated from now on, eg. ReadablePassphrase.block(ReadablePassphrase.blocklists.familyFriendly).
+ *  Entropy estimates and phrases' entropy() use the smaller word lists that leaves (see RPWordList.block()).
+ *  @param {(string|string[])} words - a word, or list of words, matched case-insensitively against every form of every word
+ *  @return {number} how many entries (nouns, verbs, adjectives, etc) are now left out of the dictionary
+ *  @throws {Error} if that would leave a word list empty (nothing is blocked then)
+ */
+ReadablePassphrase.block = function (words) {
+	return RPWordList.block(words);
+};
+
+/**
+ *  Put words left out by ReadablePassphrase.block() back
+ *  @param {(string|string[])} [words] - a word, or list of words; if none are given, every blocked word is put back
+ *  @return {number} how many entries are still left out of the dictionary
+ */
+ReadablePassphrase.unblock = function (words) {
+	return RPWordList.unblock(words);
+};
+
+/**
+ *  Only use words of the given length in phrases generated from now on, eg. { maxLength: 8, singleToken: true } for
+ *  phrases that are easy to type on a phone, or { maxTier: 1 } for common words only.  Entropy estimates and phrases'
+ *  entropy() use the smaller word lists that leaves (see RPWordList.setWordBounds()).
+ *  @param {object} [bounds] - { minLength, maxLength, singleToken, plainCase, maxTier }; none given puts back every word they left out
+ *  @return {number} how many entries (nouns, verbs, adjectives, etc) are now left out of the dictionary (including blocked ones)
+ *  @throws {Error} if the bounds are invalid, or would leave a word list empty (nothing changes then)
+ */
+ReadablePassphrase.setWordBounds = function (bounds) {
+	return RPWordList.setWordBounds(bounds);
+};
+
+/**
+ *  Built-in sets of words to pass to ReadablePassphrase.block() (see dictionary/blocklists.js):
+ *  'familyFriendly' is words and names a support team wouldn't want to read aloud to a customer
+ */
+ReadablePassphrase.blocklists = { familyFriendly };
+
+/**
+ *  Named settings for where phrases will be typed, to pass to ReadablePassphrase.generate({ profile }) and
+ *  generateMany(), each with word bounds to add (see RPWordList.setWordBounds()) and whether to keep the mutator's
+ *  changes at the start or end of words (see RPMutator.atWordBoundaries()).  'mobile' is for phone keyboards: no
+ *  entries of more than one word, no names with capitals inside them, and no capitals or digits in the middle of a word
+ */
+ReadablePassphrase.profiles = {
+	mobile: { wordBounds: { singleToken: true, plainCase: true }, wordBoundaryMutator: true },
+};
+
+/**
+ *  Work out how many bits of entropy switching to a profile costs a template and mutator, as the estimates of
+ *  ReadablePassphrase.entropyOf() with and without it
+ *  @param {string} profile - name of the profile, eg. 'mobile' (see ReadablePassphrase.profiles)
+ *  @param {string} template - name of the template
+ *  @param {(string|object)} [mutator] - either a string name of a predefined mutator, or an RPMutator object
+ *  @return {object} { words, mutator, total }: the bits lost to the profile's smaller word lists, to its limits on the
+ *    mutator, and both together
+ */
+ReadablePassphrase.profileCost = function (profile, template, mutator) {
+	const { wordBounds, wordBoundaryMutator } = getProfile(profile);
+	const words = RPSentenceTemplate.entropyOf(template) - RPWordList.withWordBounds(wordBounds || {}, () => RPSentenceTemplate.entropyOf(template));
+	const mutatorCost = mutator && wordBoundaryMutator ? new RPMutator(mutator).entropy() - RPMutator.atWordBoundaries(mutator).entropy() : 0;
+	return { words, mutator: mutatorCost, total: words + mutatorCost };
 };
 
 /**
@@ -286,7 +848,7 @@ ReadablePassphrase.templates = function () {
 };
 
 /**
- *  Get a list of names of predefined mutators
+ *  Get a list of names of predefined mutators, including any added with RPMutator.register()
  *  @return {string[]} A list of predefined mutators, in no particular order
  */
 ReadablePassphrase.mutators = function () {
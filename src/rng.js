@@ -36,3 +36,193 @@ export function randomness(multiplier) {
 	}
 	return Math.random() * m;
 }
+
+const TWO_TO_32 = 0x100000000;
+
+/**
+ *  Get a uniformly-distributed random integer, without the modulo bias of Math.floor(randomness(n)).
+ *  Draws a 32-bit value from the randomness source and rejects draws from the incomplete final
+ *  block of n values, so every result is exactly equally likely.
+ *  @param {number} n - number of possible results (a positive integer, at most 2^32)
+ *  @param {function} randomness - a randomness source, eg. randomness() above
+ *  @return {number} an integer between 0 and n (including 0, but not including n)
+ */
+export function randomInt(n, randomness) {
+	if (!Number.isInteger(n) || n < 1 || n > TWO_TO_32) throw new RangeError(`randomInt() needs a positive integer no larger than 2^32, got: ${n}`);
+	const limit = TWO_TO_32 - (TWO_TO_32 % n);
+	let value;
+	let attempts = 100; // each attempt succeeds with probability > 1/2
+	do {
+		value = Math.floor(randomness(TWO_TO_32));
+		if (attempts-- < 1) throw new Error('Exceeded max attempts in randomInt(); is the randomness source constant?');
+	} while (value >= limit);
+	return value % n;
+}
+
+/**
+ *  Choose an index at random, biased by weight.  Eg. [ 1, 3 ] returns 1 three times as often as 0.
+ *  Integer weights (as used by every template) are sampled exactly via randomInt(); fractional
+ *  weights fall back to a floating-point draw.
+ *  @param {number[]} weights - non-negative weights
+ *  @param {function} randomness - a randomness source, eg. randomness() above
+ *  @return {number} the chosen index, or -1 if every weight is 0
+ */
+export function randomWeighted(weights, randomness) {
+	let total = 0;
+	let integral = true;
+	for (const weight of weights) {
+		total += weight;
+		if (!Number.isInteger(weight)) integral = false;
+	}
+	if (total <= 0) return -1;
+
+	const chosen = integral ? randomInt(total, randomness) : randomness(total);
+	let cumulative = 0;
+	for (let i = 0; i < weights.length; i++) {
+		cumulative += weights[i];
+		if (chosen < cumulative) return i;
+	}
+	return weights.length - 1; // only reachable through floating-point rounding
+}
+
+// ****** seeded randomness *******
+
+const SHA256_K = new Uint32Array([
+	0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+	0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+	0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+	0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+	0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+	0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+	0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+	0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+function rotr(x, n) {
+	return (x >>> n) | (x << (32 - n));
+}
+
+/**
+ *  Synchronous SHA-256, used only to turn an arbitrary seed into a ChaCha20 key.
+ *  (crypto.subtle.digest() would do this, but it's async and the generator isn't)
+ *  @param {Uint8Array} bytes
+ *  @return {Uint8Array} the 32-byte digest
+ */
+function sha256(bytes) {
+	const bitLength = bytes.length * 8;
+	const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+	padded.set(bytes);
+	padded[bytes.length] = 0x80;
+	const view = new DataView(padded.buffer);
+	view.setUint32(padded.length - 8, Math.floor(bitLength / 0x100000000));
+	view.setUint32(padded.length - 4, bitLength >>> 0);
+
+	const h = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+	const w = new Uint32Array(64);
+	for (let block = 0; block < padded.length; block += 64) {
+		for (let i = 0; i < 16; i++) w[i] = view.getUint32(block + i * 4);
+		for (let i = 16; i < 64; i++) {
+			const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+			const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+			w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+		}
+
+		let [a, b, c, d, e, f, g, hh] = h;
+		for (let i = 0; i < 64; i++) {
+			const t1 = hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i];
+			const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+			hh = g;
+			g = f;
+			f = e;
+			e = (d + t1) >>> 0;
+			d = c;
+			c = b;
+			b = a;
+			a = (t1 + t2) >>> 0;
+		}
+		h[0] += a;
+		h[1] += b;
+		h[2] += c;
+		h[3] += d;
+		h[4] += e;
+		h[5] += f;
+		h[6] += g;
+		h[7] += hh;
+	}
+
+	const digest = new Uint8Array(32);
+	const digestView = new DataView(digest.buffer);
+	for (let i = 0; i < 8; i++) digestView.setUint32(i * 4, h[i]);
+	return digest;
+}
+
+function quarterRound(x, a, b, c, d) {
+	x[a] += x[b];
+	x[d] = rotr(x[d] ^ x[a], 16);
+	x[c] += x[d];
+	x[b] = rotr(x[b] ^ x[c], 20);
+	x[a] += x[b];
+	x[d] = rotr(x[d] ^ x[a], 24);
+	x[c] += x[d];
+	x[b] = rotr(x[b] ^ x[c], 25);
+}
+
+/**
+ *  Compute one 64-byte ChaCha20 keystream block (RFC 8439) into out[]
+ *  @param {Uint32Array} state - 16-word input state; not modified
+ *  @param {Uint32Array} out - 16-word output buffer
+ */
+function chacha20Block(state, out) {
+	out.set(state);
+	for (let round = 0; round < 10; round++) {
+		quarterRound(out, 0, 4, 8, 12);
+		quarterRound(out, 1, 5, 9, 13);
+		quarterRound(out, 2, 6, 10, 14);
+		quarterRound(out, 3, 7, 11, 15);
+		quarterRound(out, 0, 5, 10, 15);
+		quarterRound(out, 1, 6, 11, 12);
+		quarterRound(out, 2, 7, 8, 13);
+		quarterRound(out, 3, 4, 9, 14);
+	}
+	for (let i = 0; i < 16; i++) out[i] += state[i];
+}
+
+function seedToKey(seed) {
+	let bytes;
+	if (seed instanceof Uint8Array) bytes = seed.length === 32 ? seed : sha256(seed);
+	else if (typeof seed === 'string' || typeof seed === 'number' || typeof seed === 'bigint') bytes = sha256(new TextEncoder().encode(String(seed)));
+	else throw new TypeError(`Unsupported seed type: ${typeof seed} (expected a string, number, bigint or Uint8Array)`);
+
+	const view = new DataView(bytes.buffer, bytes.byteOffset, 32);
+	const key = new Uint32Array(8);
+	for (let i = 0; i < 8; i++) key[i] = view.getUint32(i * 4, true); // ChaCha20 keys are little-endian
+	return key;
+}
+
+/**
+ *  Create a deterministic, cryptographically-strong randomness function from a seed.
+ *  The returned function has the same signature as randomness() above, so it can be used anywhere a
+ *  randomness source is accepted (per-instance, or as ReadablePassphrase.randomness). Internally it's a
+ *  ChaCha20 keystream keyed by SHA-256(seed), read 32 bits per call - the same resolution as the
+ *  default crypto source, so the same seed produces the same sequence in Node and in the browser.
+ *  @param {(string|number|bigint|Uint8Array)} seed - any string/number, or raw bytes (exactly 32 bytes are used as the key directly)
+ *  @return {function(number=): number} a randomness function
+ */
+export function seededRandomness(seed) {
+	const state = new Uint32Array(16);
+	state.set([0x61707865, 0x3320646e, 0x79622d32, 0x6b206574]); // "expand 32-byte k"
+	state.set(seedToKey(seed), 4);
+	// state[12] is the block counter, state[13..15] the nonce (always 0: one stream per seed)
+
+	const block = new Uint32Array(16);
+	let position = 16;
+	return function (multiplier) {
+		if (position >= 16) {
+			chacha20Block(state, block);
+			state[12]++;
+			if (state[12] === 0) state[13]++; // 64-bit counter, good for far more than anyone will draw
+			position = 0;
+		}
+		return (block[position++] / 0x100000000) * (multiplier || 1);
+	};
+}
@@ -1,11 +1,167 @@
 import { ReadablePassphrase } from './readable-passphrase.js';
-import { RPWordList } from './word-list.js';
+import { RPWordList, RPWordListVerb } from './word-list.js';
 import { RPRandomFactors } from './random-factors.js';
+import { parseTemplateText, formatTemplateText } from './template-text.js';
 
+// log2 of the size of a word list, not counting words left out by RPWordList.block() or RPWordList.setWordBounds()
 function len2log(listName) {
 	return Math.log2(RPWordList[listName].length);
 }
 
+// entropy of a factor's choice. For a [ trueWeight, falseWeight ] chance that's worked out here, as the binary entropy of
+// the chance, because RPRandomFactors.entropyOf() gives it the wrong sign
+function choiceEntropy(factors, factorName) {
+	const factor = factors[factorName];
+	if (!Array.isArray(factor) || factor.length !== 2) return factors.entropyOf(factorName);
+	const chance = factor[0] / (factor[0] + factor[1]);
+	if (!(chance > 0 && chance < 1)) return 0;
+	return -(chance * Math.log2(chance) + (1 - chance) * Math.log2(1 - chance));
+}
+
+// entropy of a noun's adjectives: either an 'adjective' boolean, or an 'adjectives' choice of how many
+function adjectiveEntropy(factors) {
+	if (factors.adjectives === undefined) return factors.entropyOf('adjective') + factors.chanceOf('adjective', true) * len2log('adjectives');
+	if (typeof factors.adjectives !== 'object') return adjectiveCountEntropy(Number(factors.adjectives));
+	let entropy = factors.entropyOf('adjectives');
+	for (const count in factors.adjectives) entropy += factors.chanceOf('adjectives', count) * adjectiveCountEntropy(Number(count));
+	return entropy;
+}
+
+// picking count different adjectives, less the order they're picked in (conservatively, as if it never showed)
+function adjectiveCountEntropy(count) {
+	let entropy = 0;
+	for (let i = 0; i < count; i++) entropy += Math.log2((RPWordList.adjectives.length - i) / (i + 1));
+	return entropy;
+}
+
+// entropy of a noun clause's factors and words
+function nounEntropy(factors) {
+	let entropy = 0;
+	entropy += factors.entropyOf('subtype');
+	entropy += factors.chanceOf('subtype', 'proper') * len2log('properNouns');
+	const preludeEntropy =
+		factors.entropyOf('preposition') +
+		factors.entropyOf('singular') +
+		factors.chanceOf('preposition', true) * len2log('prepositions') +
+		factors.chanceOf('singular', true) *
+			(factors.entropyOf('articleSingular') +
+				factors.chanceOf('articleSingular', 'definite') * len2log('articles') +
+				factors.chanceOf('articleSingular', 'indefinite') * len2log('articles') +
+				factors.chanceOf('articleSingular', 'demonstrative') * len2log('demonstratives') +
+				factors.chanceOf('articleSingular', 'personalPronoun') * len2log('personalPronouns')) +
+		factors.chanceOf('singular', false) *
+			(factors.entropyOf('articlePlural') +
+				factors.chanceOf('articlePlural', 'definite') * len2log('articles') +
+				factors.chanceOf('articlePlural', 'demonstrative') * len2log('demonstratives') +
+				factors.chanceOf('articlePlural', 'personalPronoun') * len2log('articles'));
+	entropy +=
+		factors.chanceOf('subtype', 'common') *
+		(len2log('nouns') +
+			adjectiveEntropy(factors) +
+			preludeEntropy +
+			factors.chanceOf('singular', false) * factors.chanceOf('number', true) * len2log('numbers'));
+
+	entropy += factors.chanceOf('subtype', 'nounFromAdjective') * (len2log('indefinitePronouns') + preludeEntropy + len2log('adjectives'));
+	return entropy;
+}
+
+const ARTICLES = ['none', 'definite', 'indefinite', 'demonstrative', 'personalPronoun'];
+
+// the factors each clause type may have: a list of choices, 'boolean', or 'count' (a choice of whole numbers)
+const NOUN_FACTORS = {
+	subtype: ['common', 'proper', 'nounFromAdjective'],
+	article: ARTICLES,
+	articleSingular: ARTICLES.filter((article) => article !== 'none'),
+	articlePlural: ARTICLES.filter((article) => article !== 'indefinite'),
+	adjective: 'boolean',
+	adjectives: 'count', // optional, replaces 'adjective'
+	number: 'boolean',
+	singular: 'boolean',
+};
+const CLAUSE_FACTORS = {
+	noun: { ...NOUN_FACTORS, preposition: 'boolean' },
+	prepositionalPhrase: { include: 'boolean', ...NOUN_FACTORS }, // (always has a preposition)
+	verb: {
+		subtype: ['present', 'past', 'future', 'continuous', 'continuousPast', 'perfect', 'subjunctive'],
+		adverb: 'boolean',
+		interrogative: 'boolean',
+		intransitive: ['noNounClause', 'preposition'],
+	},
+	relativeClause: {
+		subtype: ['present', 'past', 'future', 'continuous', 'continuousPast', 'perfect', 'subjunctive'],
+		adverb: 'boolean',
+	},
+	conjunction: {},
+	directSpeech: {},
+};
+const PACKED_LENGTHS = { noun: 13, verb: 12 };
+
+function isWeight(weight) {
+	return typeof weight === 'number' && Number.isFinite(weight) && weight >= 0;
+}
+
+// returns what's wrong with the shape of a factor, or null if nothing is
+function factorProblem(value, allowed) {
+	if (allowed === 'boolean') {
+		if (value === undefined || typeof value === 'boolean') return null;
+		if (Array.isArray(value) && value.length === 2 && value.every(isWeight) && value[0] + value[1] > 0) return null;
+		return 'must be a boolean or a [ trueWeight, falseWeight ] array';
+	}
+	if (allowed === 'count') {
+		const isCount = (count) => /^(0|[1-9]\d*)$/.test(String(count));
+		if (isCount(value)) return null;
+		if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be a whole number, or an object of weights for whole numbers';
+		for (const count in value) {
+			if (!isCount(count)) return `unknown choice "${count}"`;
+			if (!isWeight(value[count])) return `weight of "${count}" must be a non-negative number`;
+		}
+		return null;
+	}
+	if (typeof value === 'string') return allowed.includes(value) ? null : `unknown choice "${value}"`;
+	if (!value || typeof value !== 'object' || Array.isArray(value)) return `must be one of ${allowed.join(', ')}, or an object of weights for them`;
+	for (const choice in value) {
+		if (!allowed.includes(choice)) return `unknown choice "${choice}"`;
+		if (!isWeight(value[choice])) return `weight of "${choice}" must be a non-negative number`;
+	}
+	return null;
+}
+
+// throws if an (unpacked) clause would fail when a phrase is generated from it
+function validateClause(clause) {
+	if (!clause || typeof clause !== 'object') throw new Error('clause must be a type name, a packed array or an object');
+	const factorSpecs = CLAUSE_FACTORS[clause.type];
+	if (!factorSpecs) throw new Error(`unknown clause type "${clause.type}"`);
+	const isNoun = clause.type === 'noun' || clause.type === 'prepositionalPhrase';
+	if (isNoun && clause.article) throw new Error('article was not unpacked'); // ie. articleSingular was given too
+	for (const factorName in clause) {
+		if (factorName === 'type') continue;
+		if (!factorSpecs[factorName]) throw new Error(`unknown ${clause.type} factor "${factorName}"`);
+		const problem = factorProblem(clause[factorName], factorSpecs[factorName]);
+		if (problem) throw new Error(`${factorName} ${problem}`);
+	}
+
+	// every factor is needed, by entropy() if not when generating (the noun's 'article' is unpacked into the other two)
+	for (const factorName in factorSpecs) {
+		if (factorName === 'article' || factorName === 'adjectives') continue;
+		if (factorName === 'adjective' && clause.adjectives !== undefined) {
+			if (clause.adjective !== undefined) throw new Error('give either adjective or adjectives, not both');
+			continue;
+		}
+		if (clause[factorName] === undefined) throw new Error(`${factorName} is required`);
+	}
+
+	if (!isNoun && clause.type !== 'verb' && clause.type !== 'relativeClause') return;
+	const factors = new RPRandomFactors(clause);
+	const mustChoose = (factorName) => {
+		if (!factors.chanceOf(factorName, true)) throw new Error(`${factorName} must have at least one choice with a weight above 0`);
+	};
+	mustChoose('subtype');
+	if (isNoun) {
+		if (factors.chanceOf('singular', true)) mustChoose('articleSingular'); // singular nouns must have an article
+		if (factors.chanceOf('singular', false)) mustChoose('articlePlural'); // plural ones can't have an indefinite article
+	}
+}
+
 /**
  *  This object represents a pattern for constructing a sentence.  See the README for constructing new sentence templates.
  */
@@ -40,9 +196,9 @@ export class RPSentenceTemplate {
 					default:
 						throw new Error(`Error unpacking template spec array, unknown type: ${el[0]}`);
 				}
-			} else this[i] = el;
+			} else this[i] = { ...el }; // (a copy, so unpacking 'article' below doesn't change the caller's object)
 
-			if (this[i].type === 'noun' && this[i].article && !this[i].articleSingular) {
+			if ((this[i].type === 'noun' || this[i].type === 'prepositionalPhrase') && this[i].article && !this[i].articleSingular) {
 				// unpack article weights into Singular and Plural for convenience later
 				const s = {};
 				const p = {};
@@ -72,36 +228,13 @@ export class RPSentenceTemplate {
 				case 'directSpeech':
 					totalEntropy += len2log('speechVerbs') * currentMultiplier;
 					break;
-				case 'noun': {
-					const factors = new RPRandomFactors(this[templateNum]);
-					let thisEntropy = 0;
-					thisEntropy += factors.entropyOf('subtype');
-					thisEntropy += factors.chanceOf('subtype', 'proper') * len2log('properNouns');
-					const preludeEntropy =
-						factors.entropyOf('preposition') +
-						factors.entropyOf('singular') +
-						factors.chanceOf('preposition', true) * len2log('prepositions') +
-						factors.chanceOf('singular', true) *
-							(factors.entropyOf('articleSingular') +
-								factors.chanceOf('articleSingular', 'definite') * len2log('articles') +
-								factors.chanceOf('articleSingular', 'indefinite') * len2log('articles') +
-								factors.chanceOf('articleSingular', 'demonstrative') * len2log('demonstratives') +
-								factors.chanceOf('articleSingular', 'personalPronoun') * len2log('personalPronouns')) +
-						factors.chanceOf('singular', false) *
-							(factors.entropyOf('articlePlural') +
-								factors.chanceOf('articlePlural', 'definite') * len2log('articles') +
-								factors.chanceOf('articlePlural', 'demonstrative') * len2log('demonstratives') +
-								factors.chanceOf('articlePlural', 'personalPronoun') * len2log('articles'));
-					thisEntropy +=
-						factors.chanceOf('subtype', 'common') *
-						(len2log('nouns') +
-							factors.entropyOf('adjective') +
-							preludeEntropy +
-							factors.chanceOf('adjective', true) * len2log('adjectives') +
-							factors.chanceOf('singular', false) * factors.chanceOf('number', true) * len2log('numbers'));
-
-					thisEntropy += factors.chanceOf('subtype', 'nounFromAdjective') * (len2log('indefinitePronouns') + preludeEntropy + len2log('adjectives'));
-					totalEntropy += thisEntropy * currentMultiplier;
+				case 'noun':
+					totalEntropy += nounEntropy(new RPRandomFactors(this[templateNum])) * currentMultiplier;
+					break;
+				case 'prepositionalPhrase': {
+					// the preposition is always there, even before a proper noun
+					const factors = new RPRandomFactors({ ...this[templateNum], preposition: false });
+					totalEntropy += (choiceEntropy(factors, 'include') + factors.chanceOf('include', true) * (len2log('prepositions') + nounEntropy(factors))) * currentMultiplier;
 					break;
 				}
 				case 'verb': {
@@ -122,6 +255,17 @@ export class RPSentenceTemplate {
 					currentMultiplier *= 1 - chanceOfIntransitive * factors.chanceOf('intransitive', 'noNounClause');
 					break;
 				}
+				case 'relativeClause': {
+					// (the relative pronoun is always "that")
+					const factors = new RPRandomFactors(this[templateNum]);
+					const thisEntropy =
+						choiceEntropy(factors, 'subtype') +
+						choiceEntropy(factors, 'adverb') +
+						factors.chanceOf('adverb', true) * (len2log('adverbs') + 1) +
+						Math.log2(RPWordList.verbs.length / RPWordListVerb.tenses.length); // (one of each verb, whatever its tense)
+					totalEntropy += thisEntropy * currentMultiplier;
+					break;
+				}
 				default:
 					throw new Error('Unknown clause type in entropy');
 			}
@@ -153,24 +297,162 @@ export class RPSentenceTemplate {
 	 *  Static function to return a template of the given name
 	 *  (if the template is a collection of other templates, returns a random template from the collection)
 	 *  @param {string} templateName - name of the template
+	 *  @param {function} [randomness] - a per-instance randomness source; defaults to ReadablePassphrase.randomness
 	 *  @return {RPSentenceTemplate} the resolved template
 	 */
-	static byName(templateName) {
+	static byName(templateName, randomness) {
 		let template = RPSentenceTemplate.templates[templateName];
 
 		if (typeof template[0] === 'string') {
 			// it's a collection of templates, not a template itself
-			templateName = template[ReadablePassphrase.randomInt(template.length)];
+			templateName = template[ReadablePassphrase.randomInt(template.length, randomness)];
 			template = RPSentenceTemplate.templates[templateName];
 		}
 
-		template.name = templateName;
+		// not enumerable, so it's left out of copies of the template (a template can be registered under several names)
+		Object.defineProperty(template, 'name', { value: templateName, writable: true, configurable: true, enumerable: false });
 		return template;
 	}
+
+	/**
+	 *  Get the template as plain data, in a versioned schema that RPSentenceTemplate.fromJSON() reads back.
+	 *  Called by JSON.stringify(), so a template can be stored in a config file.
+	 *  @return {object} { version, clauses }, where clauses are verbose clause objects
+	 */
+	toJSON() {
+		return { version: RPSentenceTemplate.JSON_VERSION, clauses: Array.from(this, (clause) => structuredClone(clause)) };
+	}
+
+	/**
+	 *  Static function to make a template from the output of toJSON(), checked as thoroughly as by RPSentenceTemplate.register()
+	 *  @param {(string|object)} json - the JSON text, or the object it parses to
+	 *  @return {RPSentenceTemplate} the template
+	 *  @throws {Error} if the JSON is from an unknown version of the schema, or describes an invalid template
+	 */
+	static fromJSON(json) {
+		const data = typeof json === 'string' ? JSON.parse(json) : json;
+		if (!data || typeof data !== 'object' || !Array.isArray(data.clauses)) throw new Error('Template JSON must be an object with a clauses array');
+		if (data.version !== RPSentenceTemplate.JSON_VERSION) throw new Error(`Unsupported template JSON version: ${data.version}`);
+		let template;
+		try {
+			template = new RPSentenceTemplate(data.clauses);
+		} catch (err) {
+			throw new Error(`Invalid template JSON: ${err.message}`);
+		}
+		checkTemplate(template, 'JSON');
+		return template;
+	}
+
+	/**
+	 *  Get the template in the text syntax (see RPSentenceTemplate.parse), eg. to review or diff it
+	 *  @return {string} the template as text
+	 */
+	toText() {
+		return formatTemplateText(Array.from(this));
+	}
+
+	/**
+	 *  Static function to make a template from the text syntax, eg. '[prep 20%] the|a [adj 30%] NOUN VERB(past|present) [adv] NOUN'
+	 *  (see the README for the full syntax).  The template is checked as thoroughly as by RPSentenceTemplate.register().
+	 *  @param {string} text - a template in the text syntax
+	 *  @return {RPSentenceTemplate} the template
+	 *  @throws {Error} if the text can't be parsed, or describes an invalid template
+	 */
+	static parse(text) {
+		let template;
+		try {
+			template = new RPSentenceTemplate(parseTemplateText(text));
+		} catch (err) {
+			throw new Error(`Invalid template text: ${err.message}`);
+		}
+		checkTemplate(template, 'text');
+		return template;
+	}
+}
+
+// throws if any clause of a template would fail when a phrase is generated from it
+function checkTemplate(template, name) {
+	if (!template.length) throw new Error(`Template ${name} is empty`);
+	for (let i = 0; i < template.length; i++) {
+		try {
+			validateClause(template[i]);
+			if (template[i].type === 'relativeClause' && !(template[i - 1] && template[i - 1].type === 'noun' && template[i + 1] && template[i + 1].type === 'noun')) {
+				throw new Error('a relativeClause must come between two nouns, eg. "the dog" "that ate" "the cake"');
+			}
+		} catch (err) {
+			throw new Error(`Invalid template ${name}, clause ${i}: ${err.message}`);
+		}
+	}
 }
 
 /**
- *  A set of predefined sentence templates.
+ *  The version of the schema written by toJSON(), increased whenever a change means older versions can't read it
+ */
+RPSentenceTemplate.JSON_VERSION = 1;
+
+/**
+ *  Add a named template, or a collection of them, checking it thoroughly first so mistakes show up here rather than
+ *  part-way through generating a phrase.  It's then usable by name everywhere a predefined template is, and is listed by
+ *  ReadablePassphrase.templates().
+ *  @param {string} name - the name to use; must not already be registered
+ *  @param {(Array|RPSentenceTemplate|string)} spec - an RPSentenceTemplate, an array of clauses (each a type name, a packed
+ *    array or a verbose object, as the RPSentenceTemplate constructor takes), the template in the text syntax (see
+ *    RPSentenceTemplate.parse), or an array of names of templates to choose from
+ *  @throws {Error} if the spec is invalid (eg. an unknown clause type, a badly-shaped factor or a template name that doesn't exist)
+ */
+RPSentenceTemplate.register = function (name, spec) {
+	if (typeof name !== 'string' || !name) throw new Error(`Invalid template name: ${name}`);
+	if (Object.prototype.hasOwnProperty.call(RPSentenceTemplate.templates, name)) throw new Error(`Template already registered: ${name}`);
+	if (typeof spec === 'string') spec = RPSentenceTemplate.parse(spec);
+	if (!(spec instanceof RPSentenceTemplate) && !Array.isArray(spec)) throw new TypeError('A template spec must be an RPSentenceTemplate, an array or text');
+	if (!spec.length) throw new Error(`Template ${name} is empty`);
+
+	if (typeof spec[0] === 'string' && spec.every((el) => typeof el === 'string' && !CLAUSE_FACTORS[el])) {
+		// a collection of templates
+		spec.forEach((templateName) => {
+			const template = RPSentenceTemplate.templates[templateName];
+			if (!Object.prototype.hasOwnProperty.call(RPSentenceTemplate.templates, templateName)) throw new Error(`Template ${name} includes an unknown template: ${templateName}`);
+			if (!(template instanceof RPSentenceTemplate)) throw new Error(`Template ${name} includes another collection: ${templateName}`);
+		});
+		RPSentenceTemplate.templates[name] = spec.slice();
+		return;
+	}
+
+	let template = spec;
+	if (!(spec instanceof RPSentenceTemplate)) {
+		spec.forEach((el, i) => {
+			if (Array.isArray(el) && PACKED_LENGTHS[el[0]] && el.length !== PACKED_LENGTHS[el[0]]) {
+				throw new Error(`Invalid template ${name}, clause ${i}: a packed ${el[0]} has ${PACKED_LENGTHS[el[0]]} elements, not ${el.length}`);
+			}
+		});
+		try {
+			template = new RPSentenceTemplate(spec);
+		} catch (err) {
+			throw new Error(`Invalid template ${name}: ${err.message}`);
+		}
+	}
+	checkTemplate(template, name);
+	RPSentenceTemplate.templates[name] = template;
+};
+
+/**
+ *  Remove a named template or collection (including a predefined one)
+ *  @param {string} name - the name it was registered under
+ *  @return {boolean} true if it was removed, false if there was no such template
+ *  @throws {Error} if a collection still includes the template
+ */
+RPSentenceTemplate.unregister = function (name) {
+	if (!Object.prototype.hasOwnProperty.call(RPSentenceTemplate.templates, name)) return false;
+	for (const collectionName in RPSentenceTemplate.templates) {
+		const collection = RPSentenceTemplate.templates[collectionName];
+		if (Array.isArray(collection) && collection.includes(name)) throw new Error(`Template ${name} is still included in ${collectionName}`);
+	}
+	delete RPSentenceTemplate.templates[name];
+	return true;
+};
+
+/**
+ *  A set of predefined sentence templates (add your own with RPSentenceTemplate.register()).
  *  'random', 'randomShort', 'randomLong' and 'randomForever' are shorthand collections that select
  *  randomly from a set of similar templates; the rest are concrete templates.
  */
@@ -0,0 +1,242 @@
+// A compact text syntax for sentence templates, eg.
+//   [prep 1:15] -|the|a [adj 30%] NOUN(common:12|proper:1, singular 7:3) RELATIVE(past) the NOUN VERB(past|present) [adv] [adjs 0:2|1:2|2] NOUN the PHRASE(include 1:2)
+// See "Template text" in the README for the full syntax.
+
+// article words, in the order article weights are always listed in
+const ARTICLE_WORDS = { none: '-', definite: 'the', indefinite: 'a', demonstrative: 'this', personalPronoun: 'my' };
+const ARTICLE_NAMES = Object.fromEntries(Object.entries(ARTICLE_WORDS).map(([name, word]) => [word, name]));
+
+// boolean modifiers in brackets, and the factors they stand for
+const NOUN_MODIFIERS = { prep: 'preposition', num: 'number', adj: 'adjective', adjs: 'adjectives' };
+const VERB_MODIFIERS = { adv: 'adverb', question: 'interrogative' };
+
+const CLAUSE_WORDS = { CONJUNCTION: 'conjunction', SPEECH: 'directSpeech' };
+
+function parseWeight(text, token) {
+	if (!/^\d+(\.\d+)?$/.test(text)) throw new Error(`Invalid weight "${text}" in ${token}`);
+	return Number(text);
+}
+
+// the (missing) "", "?", "30%" or "3:6" of "[name]", "[name?]", "[name 30%]" or "[name 3:6]" => [ trueWeight, falseWeight ];
+// a modifier in brackets without a chance is used half the time
+function parseBoolean(text, token) {
+	if (text === undefined || text === '?') return [1, 1];
+	const percent = text.match(/^(\d+)%$/);
+	if (percent) {
+		const chance = Number(percent[1]);
+		if (chance > 100) throw new Error(`Invalid percentage in ${token}`);
+		return [chance, 100 - chance];
+	}
+	const ratio = text.split(':');
+	if (ratio.length !== 2) throw new Error(`Expected a percentage or a trueWeight:falseWeight ratio in ${token}`);
+	return [parseWeight(ratio[0], token), parseWeight(ratio[1], token)];
+}
+
+// "a|b:3|c" => { a: 1, b: 3, c: 1 }, with names translated by names (if given)
+function parseChoices(text, token, names) {
+	const choices = {};
+	text.split('|').forEach((choice) => {
+		const [word, weight] = choice.split(':');
+		const name = names ? names[word] : word;
+		if (!name) throw new Error(`Unknown choice "${word}" in ${token}`);
+		if (name in choices) throw new Error(`"${word}" is listed twice in ${token}`);
+		choices[name] = weight === undefined ? 1 : parseWeight(weight, token);
+	});
+	return choices;
+}
+
+// "[adjs 2]" => 2, "[adjs 0:4|1:3|2]" => { 0: 4, 1: 3, 2: 1 }
+function parseCount(text, token) {
+	if (text === undefined || text === '?') throw new Error(`Expected a number of adjectives, or weights for each number, in ${token}`);
+	if (/^\d+$/.test(text)) return Number(text);
+	const choices = parseChoices(text, token);
+	Object.keys(choices).forEach((count) => {
+		if (!/^\d+$/.test(count)) throw new Error(`Unknown choice "${count}" in ${token}`);
+	});
+	return choices;
+}
+
+function formatCount(modifier, value) {
+	if (value === undefined) return null;
+	return `[${modifier} ${typeof value === 'object' ? formatChoices(value) : value}]`;
+}
+
+function formatBoolean(modifier, value) {
+	if (value === true) return modifier;
+	if (!value) return null;
+	return `[${modifier} ${value[0]}:${value[1]}]`;
+}
+
+// { a: 1, b: 3, c: 0 } => "a|b:3" (a choice with weight 0 is the same as one left out)
+function formatChoices(choices, names) {
+	if (typeof choices === 'string') return names ? names[choices] : choices;
+	return Object.keys(choices)
+		.filter((name) => choices[name])
+		.map((name) => (names ? names[name] : name) + (choices[name] === 1 ? '' : `:${choices[name]}`))
+		.join('|');
+}
+
+function sameWeight(a, b) {
+	return (a || 0) === (b || 0);
+}
+
+function formatArticles(clause) {
+	const singular = clause.articleSingular;
+	const plural = clause.articlePlural;
+	if (clause.singular === true) return formatChoices(singular, ARTICLE_WORDS);
+	if (clause.singular === false) return formatChoices(plural, ARTICLE_WORDS);
+	if (typeof singular === 'object' && typeof plural === 'object' && ['definite', 'demonstrative', 'personalPronoun'].every((name) => sameWeight(singular[name], plural[name]))) {
+		// the two came from (or could have come from) a single 'article' factor
+		const article = {};
+		Object.keys(ARTICLE_WORDS).forEach((name) => {
+			article[name] = name === 'none' ? plural.none : name === 'indefinite' ? singular.indefinite : singular[name];
+		});
+		return formatChoices(article, ARTICLE_WORDS);
+	}
+	return `${formatChoices(singular, ARTICLE_WORDS)}/${formatChoices(plural, ARTICLE_WORDS)}`;
+}
+
+function splitTokens(text) {
+	const tokens = text.match(/\[[^\]]*\]|[^\s[(]+(\([^)]*\))?|\S+/g) || [];
+	tokens.forEach((token) => {
+		const balanced = token.startsWith('[') ? token.indexOf(']') === token.length - 1 : !/[[\]]/.test(token) && (!/[()]/.test(token) || /^[^()]+\([^()]*\)$/.test(token));
+		if (!balanced) throw new Error(`Unbalanced brackets at "${token}"`);
+	});
+	return tokens;
+}
+
+/**
+ *  Parse the text form of a template into clause objects (see the README)
+ *  @param {string} text - a template in the text syntax
+ *  @return {object[]} verbose clause objects, ready for the RPSentenceTemplate constructor
+ */
+export function parseTemplateText(text) {
+	const clauses = [];
+	let noun = {}; // factors for the next NOUN
+	let verb = {}; // factors for the next VERB
+	let lastVerb = null; // the VERB just added, which modifiers straight after it belong to
+
+	splitTokens(text).forEach((token) => {
+		const bracket = token.match(/^\[(\w+)(\?|\s+(.*?))?\s*\]$/) || token.match(/^(\w+)(\?)$/) || token.match(/^(\w+)()$/);
+		const modifier = bracket && (NOUN_MODIFIERS[bracket[1]] || VERB_MODIFIERS[bracket[1]]);
+		if (modifier) {
+			let value;
+			if (modifier === 'adjectives') value = parseCount(bracket[3] || bracket[2], token);
+			else value = token.startsWith('[') || bracket[2] === '?' ? parseBoolean(bracket[3] || bracket[2], token) : true;
+			const factors = NOUN_MODIFIERS[bracket[1]] ? noun : lastVerb || verb;
+			if (factors[modifier] !== undefined && factors[modifier] !== false) throw new Error(`${token} is given twice`);
+			factors[modifier] = value;
+			return;
+		}
+
+		const head = token.match(/^([A-Z]+)(\((.*)\))?$/);
+		if (head && (head[1] === 'NOUN' || head[1] === 'PHRASE')) {
+			const clause = head[1] === 'NOUN' ? { type: 'noun', subtype: { common: 1 }, preposition: false } : { type: 'prepositionalPhrase', include: true, subtype: { common: 1 } };
+			Object.assign(clause, { number: false, adjective: false, singular: true, ...noun });
+			if (head[3]) {
+				head[3].split(',').forEach((option) => {
+					const [name, weight] = option.trim().split(/\s+/);
+					if (name === 'singular') clause.singular = weight === undefined ? true : parseBoolean(weight, token);
+					else if (name === 'include' && clause.type === 'prepositionalPhrase') clause.include = weight === undefined ? true : parseBoolean(weight, token);
+					else if (name === 'plural') {
+						if (weight !== undefined) throw new Error(`Use "singular ${weight}" rather than "plural ${weight}" in ${token}`);
+						clause.singular = false;
+					} else if (name) clause.subtype = parseChoices(name, token);
+				});
+			}
+			if (!clause.article && !clause.articleSingular) clause.article = { definite: 1, indefinite: 1 }; // ie. "the|a"
+			if (clause.adjectives !== undefined) {
+				if (noun.adjective !== undefined) throw new Error(`Use either [adj] or [adjs] before ${token}, not both`);
+				delete clause.adjective;
+			}
+			clauses.push(clause);
+			noun = {};
+			lastVerb = null;
+		} else if (head && head[1] === 'VERB') {
+			const clause = { type: 'verb', subtype: { present: 1 }, adverb: false, interrogative: false, intransitive: { noNounClause: 0, preposition: 0 }, ...verb };
+			if (head[3]) {
+				head[3].split(',').forEach((option) => {
+					const [name, choices] = option.trim().split(/\s+/);
+					if (name === 'intransitive') clause.intransitive = { noNounClause: 0, preposition: 0, ...parseChoices(choices || 'noNounClause|preposition', token) };
+					else if (name) clause.subtype = parseChoices(name, token);
+				});
+			}
+			clauses.push(clause);
+			verb = {};
+			lastVerb = clause;
+		} else if (head && head[1] === 'RELATIVE') {
+			// a relative clause takes the same modifiers as a VERB, except [question]
+			const clause = { type: 'relativeClause', subtype: { present: 1 }, adverb: false, ...verb };
+			if (head[3] && head[3].trim()) clause.subtype = parseChoices(head[3].trim(), token);
+			clauses.push(clause);
+			verb = {};
+			lastVerb = clause;
+		} else if (head && CLAUSE_WORDS[head[1]] && !head[2]) {
+			clauses.push({ type: CLAUSE_WORDS[head[1]] });
+			lastVerb = null;
+		} else if (/^[-\w|:./]+$/.test(token) && !/^[A-Z]/.test(token)) {
+			// articles, eg. "the|a" or "the:4|a:4|-:5", or separate singular/plural ones: "the|a/-|the"
+			if (noun.article || noun.articleSingular) throw new Error(`${token}: the noun already has articles`);
+			const [singular, plural] = token.split('/');
+			if (plural === undefined) noun.article = parseChoices(singular, token, ARTICLE_NAMES);
+			else {
+				noun.articleSingular = parseChoices(singular, token, ARTICLE_NAMES);
+				noun.articlePlural = parseChoices(plural, token, ARTICLE_NAMES);
+			}
+		} else throw new Error(`Unexpected "${token}"`);
+	});
+
+	const leftOver = Object.keys(noun).length ? 'NOUN' : Object.keys(verb).length ? 'VERB' : null;
+	if (leftOver) throw new Error(`Modifiers at the end aren't followed by a ${leftOver}`);
+	return clauses;
+}
+
+/**
+ *  Format (unpacked) clauses in the text syntax; parseTemplateText() turns the result back into equivalent clauses
+ *  @param {object[]} clauses - the clauses of an RPSentenceTemplate
+ *  @return {string} the template as text
+ */
+export function formatTemplateText(clauses) {
+	const parts = [];
+	clauses.forEach((clause) => {
+		switch (clause.type) {
+			case 'noun':
+			case 'prepositionalPhrase': {
+				const options = [];
+				const subtype = formatChoices(clause.subtype);
+				if (subtype !== 'common') options.push(subtype);
+				if (clause.singular === false) options.push('plural');
+				else if (clause.singular !== true) options.push(`singular ${clause.singular[0]}:${clause.singular[1]}`);
+				if (clause.include === false) options.push('include 0:1');
+				else if (Array.isArray(clause.include)) options.push(`include ${clause.include[0]}:${clause.include[1]}`);
+				const head = clause.type === 'noun' ? 'NOUN' : 'PHRASE';
+				parts.push(formatBoolean('prep', clause.preposition), formatArticles(clause), formatBoolean('num', clause.number), formatBoolean('adj', clause.adjective), formatCount('adjs', clause.adjectives));
+				parts.push(options.length ? `${head}(${options.join(', ')})` : head);
+				break;
+			}
+			case 'verb': {
+				const options = [];
+				const subtype = formatChoices(clause.subtype);
+				if (subtype !== 'present') options.push(subtype);
+				const intransitive = clause.intransitive && formatChoices(clause.intransitive);
+				if (intransitive) options.push(`intransitive ${intransitive}`);
+				parts.push(options.length ? `VERB(${options.join(', ')})` : 'VERB', formatBoolean('adv', clause.adverb), formatBoolean('question', clause.interrogative));
+				break;
+			}
+			case 'relativeClause': {
+				const subtype = formatChoices(clause.subtype);
+				parts.push(subtype !== 'present' ? `RELATIVE(${subtype})` : 'RELATIVE', formatBoolean('adv', clause.adverb));
+				break;
+			}
+			case 'conjunction':
+				parts.push('CONJUNCTION');
+				break;
+			case 'directSpeech':
+				parts.push('SPEECH');
+				break;
+			default:
+				throw new Error(`Unknown clause type: ${clause.type}`);
+		}
+	});
+	return parts.filter((part) => part).join(' ');
+}
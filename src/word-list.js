@@ -2,6 +2,133 @@ import { RPWord } from './word.js';
 import { ReadablePassphrase } from './readable-passphrase.js';
 import { RPRandomFactors } from './random-factors.js';
 
+/**
+ *  Count how often each value occurs in a pool (falsy values - forms a word doesn't have - aren't counted)
+ *  @param {string[]} values - the form of each entry in the pool
+ *  @return {object} { counts: Map of value => occurrences, total: number of values counted }
+ */
+function countValues(values) {
+	const counts = new Map();
+	let total = 0;
+	for (const value of values) {
+		if (!value) continue;
+		counts.set(value, (counts.get(value) || 0) + 1);
+		total++;
+	}
+	return { counts, total };
+}
+
+/**
+ *  Bits of entropy in having picked `chosen` uniformly from a pool, minus any values excluded from it
+ *  (duplicate entries make a word proportionally more likely, so they're counted rather than assumed away)
+ *  @param {object} pool - the result of countValues()
+ *  @param {string} chosen - the picked value
+ *  @param {object} [alreadyChosen] - values excluded from the pool
+ *  @return {number} floating-point number of bits
+ */
+function pickEntropy(pool, chosen, alreadyChosen) {
+	let candidates = pool.total;
+	if (alreadyChosen) {
+		for (const value in alreadyChosen) {
+			if (alreadyChosen[value] && pool.counts.has(value)) candidates -= pool.counts.get(value);
+		}
+	}
+	return Math.log2(candidates / pool.counts.get(chosen));
+}
+
+// the words that go in front of a verb to make its tenses, eg. 'will' in 'will eat'
+const AUXILIARIES = ['will', 'were', 'was', 'have', 'has', 'are', 'is', 'might'];
+
+// the words of a verb form that are the verb itself, eg. 'eat' of 'will eat', 'aiming at' of 'were aiming at' or 'is' of 'is'
+function verbWords(form) {
+	const words = form.split(' ');
+	return words.length > 1 && AUXILIARIES.includes(words[0]) ? words.slice(1) : words;
+}
+
+/**
+ *  Whether a pool entry is left out by a word list's blocked words (matched case-insensitively against each form and each
+ *  word of one, eg. 'nazi' blocks 'the Nazi' and 'murdered' blocks 'has murdered') or its word bounds
+ *  @param {string[]} forms - the forms of the entry, eg. [ 'mouse', 'mice' ] (falsy forms are skipped)
+ *  @param {Set<string>} blocked - lowercase words (see RPWordList.block())
+ *  @param {object} bounds - { minLength, maxLength, singleToken, plainCase } (see RPWordList.setWordBounds())
+ *  @param {function} [wordsOf] - gets the words of a form that the bounds apply to; defaults to every word of it
+ *  @return {boolean} true if the entry should be left out of the pool
+ */
+function isLeftOut(forms, blocked, bounds, wordsOf) {
+	return forms.some((form) => {
+		if (!form) return false;
+		const lower = form.toLowerCase();
+		if (blocked.has(lower) || lower.split(' ').some((word) => blocked.has(word))) return true;
+		const words = wordsOf ? wordsOf(form) : form.split(' ');
+		if (bounds.singleToken && words.length > 1) return true;
+		if (bounds.plainCase && words.some((word) => /\p{Lu}/u.test(Array.from(word).slice(1).join('')))) return true;
+		return words.some((word) => {
+			const length = Array.from(word).length;
+			return (bounds.minLength && length < bounds.minLength) || (bounds.maxLength && length > bounds.maxLength);
+		});
+	});
+}
+
+// whether entry `index` of a list is in a rarer frequency tier than bounds.maxTier (entries of lists without tiers never are)
+function isTooRare(tiers, index, bounds) {
+	return Boolean(bounds.maxTier && tiers) && Number(tiers[index]) > bounds.maxTier;
+}
+
+// checks and copies a { minLength, maxLength, singleToken, plainCase, maxTier } object (see RPWordList.setWordBounds())
+function parseBounds(bounds) {
+	bounds = bounds || {};
+	['minLength', 'maxLength'].forEach((name) => {
+		if (bounds[name] !== undefined && (!Number.isInteger(bounds[name]) || bounds[name] < 1)) throw new Error(`${name} must be a positive whole number, got: ${bounds[name]}`);
+	});
+	if (bounds.minLength > bounds.maxLength) throw new Error(`minLength (${bounds.minLength}) is more than maxLength (${bounds.maxLength})`);
+	if (![undefined, 1, 2, 3].includes(bounds.maxTier)) throw new Error(`maxTier must be 1, 2 or 3, got: ${bounds.maxTier}`);
+	return { minLength: bounds.minLength, maxLength: bounds.maxLength, singleToken: Boolean(bounds.singleToken), plainCase: Boolean(bounds.plainCase), maxTier: bounds.maxTier };
+}
+
+/**
+ *  Filter a word list's pool to match the given blocked words and word bounds, and keep them for later changes
+ *  @param {(RPWordList|RPWordListVerb)} wordList
+ *  @param {Set<string>} blocked - lowercase words to leave out (see RPWordList.block())
+ *  @param {object} bounds - as returned by parseBounds()
+ *  @return {number} how many entries are now left out of the pool
+ *  @throws {Error} if that would leave the pool empty (the list is unchanged then)
+ */
+function refilter(wordList, blocked, bounds) {
+	wordList.filterPool(blocked, bounds);
+	wordList.blocked = blocked;
+	wordList.bounds = bounds;
+	return wordList.leftOut;
+}
+
+// blocks or unblocks words from a word list (see RPWordList.block()); unblocking with no words given unblocks them all
+function changeBlocked(wordList, words, blocking) {
+	const blocked = new Set(words === undefined && !blocking ? [] : wordList.blocked);
+	if (words !== undefined) {
+		for (const word of typeof words === 'string' ? [words] : words) {
+			if (blocking) blocked.add(word.toLowerCase());
+			else blocked.delete(word.toLowerCase());
+		}
+	}
+	return refilter(wordList, blocked, wordList.bounds);
+}
+
+// the word lists in the dictionary (RPWordList.nouns, etc) that can be filtered with block() and setWordBounds()
+function filterableLists() {
+	return Object.values(RPWordList).filter((wordList) => wordList instanceof RPWordList || wordList instanceof RPWordListVerb);
+}
+
+// makes a change to every filterable word list, putting them all back as they were if it fails for any of them
+function changeEveryList(change) {
+	const lists = filterableLists();
+	const before = lists.map((wordList) => [wordList.blocked, wordList.bounds]);
+	try {
+		return lists.reduce((total, wordList) => total + change(wordList), 0);
+	} catch (err) {
+		lists.forEach((wordList, i) => refilter(wordList, ...before[i]));
+		throw err;
+	}
+}
+
 /**
  *  This object represents a pool of words of a similar type, with the assumption that you will request random members from the pool
  */
@@ -9,29 +136,91 @@ export class RPWordList {
 	/**
 	 *  @param {string} type  - a string describing the type of all words in this list
 	 *  @param {string[]} wordArray - an array of words
+	 *  @param {string} [tiers] - how common each word is, one digit per word from '1' (common) to '3' (rare); see
+	 *    src/dictionary/source/tiers.js.  Without them, setWordBounds({ maxTier }) leaves every word in the pool
 	 */
-	constructor(type, wordArray) {
+	constructor(type, wordArray, tiers) {
 		this.list = wordArray;
 		this.type = type;
 		this.length = wordArray.length;
+		this.fullList = wordArray; // the pool before any words were left out
+		this.tiers = tiers;
+		this.blocked = new Set(); // lowercase words left out of the pool (see block())
+		this.bounds = parseBounds(); // limits on the words left in it (see setWordBounds())
+		this.leftOut = 0; // ...and how many entries those leave out
 	}
 
 	/**
-	 *  Get a random word from the pool.
+	 *  Leave words out of the pool from now on (eg. ones that shouldn't be read aloud to a customer).  Every entry that
+	 *  contains a blocked word in any of its forms is left out, and the list's length, and so the entropy of templates
+	 *  that use it, shrinks to match.  See RPWordList.block() to block words from every list at once.
+	 *  @param {(string|string[])} words - a word, or list of words, matched case-insensitively against each word of an entry
+	 *  @return {number} how many entries are now left out of the pool (including any setWordBounds() leaves out)
+	 *  @throws {Error} if that would leave the pool empty (nothing is blocked then)
+	 */
+	block(words) {
+		return changeBlocked(this, words, true);
+	}
+
+	/**
+	 *  Put words left out by block() back into the pool
+	 *  @param {(string|string[])} [words] - a word, or list of words; if none are given, every blocked word is put back
+	 *  @return {number} how many entries are still left out of the pool
+	 */
+	unblock(words) {
+		return changeBlocked(this, words, false);
+	}
+
+	/**
+	 *  Only use words of the given length from now on (eg. to keep phrases easy to type on a phone).  Each word of an
+	 *  entry is measured, and the whole entry is left out if one doesn't fit; the list's length, and so the entropy of
+	 *  templates that use it, shrinks to match.  See RPWordList.setWordBounds() to set the bounds of every list at once.
+	 *  @param {object} [bounds] - limits on the words left in the pool; none given (or {}) puts back every word they left out
+	 *  @param {number} [bounds.minLength] - the fewest characters a word may have
+	 *  @param {number} [bounds.maxLength] - the most characters a word may have
+	 *  @param {boolean} [bounds.singleToken] - leave out entries of more than one word, eg. 'according to'
+	 *  @param {boolean} [bounds.plainCase] - leave out entries with a capital letter anywhere but the start of a word, eg.
+	 *    'McDonald', 'iPod' or "O'Brien"
+	 *  @param {number} [bounds.maxTier] - leave out words rarer than this frequency tier: 1 keeps only common words, 2 leaves
+	 *    out rare ones like 'abattoir' and 3 keeps them all.  Lists without tiers (eg. prepositions) are left as they are
+	 *  @return {number} how many entries are now left out of the pool (including blocked ones)
+	 *  @throws {Error} if the bounds are invalid, or would leave the pool empty (nothing changes then)
+	 */
+	setWordBounds(bounds) {
+		return refilter(this, this.blocked, parseBounds(bounds));
+	}
+
+	// replaces the pool with the entries of fullList that aren't left out, forgetting anything counted from the old one
+	filterPool(blocked, bounds) {
+		const list = this.fullList.filter((entry, i) => !isLeftOut(typeof entry === 'string' ? [entry] : entry, blocked, bounds) && !isTooRare(this.tiers, i, bounds));
+		if (!list.length) throw new Error(`That would leave no words of type ${this.type}`);
+		this.list = list;
+		this.length = list.length;
+		this.leftOut = this.fullList.length - list.length;
+		this.pool = null;
+		this.pools = null;
+	}
+
+	/**
+	 *  Get a random word from the pool.  The returned word's `entropy` is the number of bits that went into picking it.
 	 *  Note that passing alreadyChosen{} actually weakens the overall strength of the passphrase slightly
 	 *  @param {*} [alreadyChosen] - if a hash of words that are already chosen is provided, this will avoid returning one already chosen
 	 *    (typed loosely - `*` not `object` - because subclasses override this with a leading non-object
 	 *    parameter, eg RPWordListPlural's `isPlural`; keep it loose rather than narrowing it back)
+	 *  @param {*} [randomness] - a per-instance randomness source; defaults to ReadablePassphrase.randomness
 	 *  @return {RPWord} the chosen word
 	 */
-	getRandomWord(alreadyChosen) {
+	getRandomWord(alreadyChosen, randomness) {
 		let word;
 		let attempts = 100;
 		do {
-			word = this.list[ReadablePassphrase.randomInt(this.length)];
+			word = this.list[ReadablePassphrase.randomInt(this.length, randomness)];
 			if (attempts-- < 1) throw new Error(`Exceeded max attempts in RPWordList.getRandomWord() for type ${this.type}`);
 		} while (alreadyChosen && alreadyChosen[word]);
-		return new RPWord(this.type, word);
+		const chosen = new RPWord(this.type, word);
+		if (!this.pool) this.pool = countValues(this.list);
+		chosen.entropy = pickEntropy(this.pool, word, alreadyChosen);
+		return chosen;
 	}
 }
 
@@ -42,9 +231,10 @@ export class RPWordListPlural extends RPWordList {
 	/**
 	 *  @param {string} type  - a string describing the type of all words in this list
 	 *  @param {object[]} pluralWordArray - an array of word pairs, eg [[ 'mouse', 'mice' ], ['dog','dogs' ]]
+	 *  @param {string} [tiers] - how common each pair is (see RPWordList)
 	 */
-	constructor(type, pluralWordArray) {
-		super(type, pluralWordArray);
+	constructor(type, pluralWordArray, tiers) {
+		super(type, pluralWordArray, tiers);
 		for (let wordNum = 0; wordNum < this.list.length; wordNum++) {
 			const thisWord = this.list[wordNum];
 			if (typeof thisWord === 'string') this.list[wordNum] = [thisWord, thisWord + 's'];
@@ -52,20 +242,24 @@ export class RPWordListPlural extends RPWordList {
 	}
 
 	/**
-	 *  Get a random word from the pool.
+	 *  Get a random word from the pool.  The returned word's `entropy` is the number of bits that went into picking it.
 	 *  Note that passing alreadyChosen{} actually weakens the overall strength of the passphrase slightly
 	 *  @param {boolean} [isPlural] - true if the plural form of the word is being requested
 	 *  @param {object} [alreadyChosen] - if a hash of words that are already chosen is provided, this will avoid returning one already chosen
+	 *  @param {function} [randomness] - a per-instance randomness source; defaults to ReadablePassphrase.randomness
 	 *  @return {RPWord} the chosen word
 	 */
-	getRandomWord(isPlural, alreadyChosen) {
+	getRandomWord(isPlural, alreadyChosen, randomness) {
 		let word = null;
 		let attempts = 100;
 		do {
-			word = this.list[ReadablePassphrase.randomInt(this.length)][isPlural ? 1 : 0];
+			word = this.list[ReadablePassphrase.randomInt(this.length, randomness)][isPlural ? 1 : 0];
 			if (attempts-- < 1) throw new Error(`Exceeded max attempts in RPWordListPlural.getRandomWord() for type ${this.type}`);
 		} while (!word || (alreadyChosen && alreadyChosen[word]));
-		return new RPWord([this.type, isPlural ? 'plural' : 'singular'], word);
+		const chosen = new RPWord([this.type, isPlural ? 'plural' : 'singular'], word);
+		if (!this.pools) this.pools = [countValues(this.list.map((pair) => pair[0])), countValues(this.list.map((pair) => pair[1]))];
+		chosen.entropy = pickEntropy(this.pools[isPlural ? 1 : 0], word, alreadyChosen);
+		return chosen;
 	}
 }
 
@@ -76,8 +270,9 @@ export class RPWordListVerb {
 	/**
 	 *  @param {string} transitiveType  - either 'transitive' or 'intransitive' depending on the type of verbs in the list
 	 *  @param {object[]} verbArray - an array of verbs, each represented as a 14-element array of tenses (see RPWordListVerb.tenses for order)
+	 *  @param {string} [tiers] - how common each verb is, one digit per verb (see RPWordList)
 	 */
-	constructor(transitiveType, verbArray) {
+	constructor(transitiveType, verbArray, tiers) {
 		this.list = [];
 
 		if (typeof RPWordListVerb.tenses[0] === 'string') {
@@ -93,6 +288,7 @@ export class RPWordListVerb {
 			}
 		}
 
+		this.transitiveType = transitiveType;
 		for (let verbNum = 0; verbNum < verbArray.length; verbNum++) {
 			let thisVerb = verbArray[verbNum];
 			if (typeof thisVerb === 'string') thisVerb = [thisVerb];
@@ -108,40 +304,150 @@ export class RPWordListVerb {
 			}
 		}
 		this.length = this.list.length;
+		this.byTypes = {}; // cache of the words (and their counts) matching each combination of types asked for by getRandomWord()
+		this.fullList = this.list; // every tense of every verb, before any were left out
+		this.tiers = tiers;
+		this.blocked = new Set(); // lowercase words left out of the pool (see RPWordList.block())
+		this.bounds = parseBounds(); // limits on the verbs left in it (see setWordBounds())
+		this.leftOut = 0; // ...and how many verbs those leave out
+	}
+
+	/**
+	 *  Leave verbs out of the pool from now on: every tense of a verb is left out if any of its tenses contains a blocked
+	 *  word (see RPWordList.block())
+	 *  @param {(string|string[])} words - a word, or list of words, eg. 'murder'
+	 *  @return {number} how many verbs are now left out of the pool (including any setWordBounds() leaves out)
+	 *  @throws {Error} if that would leave the pool empty (nothing is blocked then)
+	 */
+	block(words) {
+		return changeBlocked(this, words, true);
+	}
+
+	/**
+	 *  Put verbs left out by block() back into the pool
+	 *  @param {(string|string[])} [words] - a word, or list of words; if none are given, every blocked word is put back
+	 *  @return {number} how many verbs are still left out of the pool
+	 */
+	unblock(words) {
+		return changeBlocked(this, words, false);
+	}
+
+	/**
+	 *  Only use verbs of the given length from now on: every tense of a verb is left out if the verb itself (not the
+	 *  'will', 'has', etc. in front of it) doesn't fit in one of them (see RPWordList.prototype.setWordBounds())
+	 *  @param {object} [bounds] - { minLength, maxLength, singleToken, plainCase, maxTier }; none given puts back every verb they left out
+	 *  @return {number} how many verbs are now left out of the pool (including blocked ones)
+	 *  @throws {Error} if the bounds are invalid, or would leave the pool empty (nothing changes then)
+	 */
+	setWordBounds(bounds) {
+		return refilter(this, this.blocked, parseBounds(bounds));
+	}
+
+	// replaces the pool with the verbs of fullList that aren't left out, forgetting anything counted from the old one
+	filterPool(blocked, bounds) {
+		const tenses = RPWordListVerb.tenses.length;
+		const list = [];
+		let leftOut = 0;
+		for (let start = 0; start < this.fullList.length; start += tenses) {
+			const verb = this.fullList.slice(start, start + tenses);
+			if (isLeftOut(verb.map((thisWord) => thisWord.value), blocked, bounds, verbWords) || isTooRare(this.tiers, start / tenses, bounds)) leftOut++;
+			else list.push(...verb);
+		}
+		if (!list.length) throw new Error(`That would leave no ${this.transitiveType} verbs`);
+		this.list = list;
+		this.length = list.length;
+		this.leftOut = leftOut;
+		this.byTypes = {};
 	}
 
 	/**
 	 *  Returns 'transitive' or 'intransitive', biased toward whichever pool is bigger.  Eg, 5 transitive + 1 intransitive returns 'transitive' 5:1
+	 *  @param {function} [randomness] - a per-instance randomness source; defaults to ReadablePassphrase.randomness
 	 *  @return {string} 'transitive' or 'intransitive'
 	 */
-	static getRandomTransitivity() {
-		return RPRandomFactors.computeFactor([RPWordList.verbs.length, RPWordList.intransitiveVerbs.length]) ? 'transitive' : 'intransitive';
+	static getRandomTransitivity(randomness) {
+		return RPRandomFactors.computeFactor([RPWordList.verbs.length, RPWordList.intransitiveVerbs.length], randomness) ? 'transitive' : 'intransitive';
 	}
 
 	/**
-	 *  Get a random word from the pool.
+	 *  Get a random word from the pool.  The returned word's `entropy` is the number of bits that went into picking it.
 	 *  Note that passing alreadyChosen{} actually weakens the overall strength of the passphrase slightly
 	 *  @param {string} [tense] - name of the tense being requested, eg. 'pastContinuousPlural'
 	 *  @param {boolean} [isPlural] - true if the plural form of the word is being requested
 	 *  @param {object} [alreadyChosen] - if a hash of words that are already chosen is provided, this will avoid returning one already chosen
+	 *  @param {function} [randomness] - a per-instance randomness source; defaults to ReadablePassphrase.randomness
 	 *  @return {RPWord} the chosen word
 	 */
-	getRandomWord(tense, isPlural, alreadyChosen) {
+	getRandomWord(tense, isPlural, alreadyChosen, randomness) {
 		const types = [];
 		if (typeof isPlural === 'boolean') types.push(isPlural ? 'plural' : 'singular');
 		if (tense && tense === 'continuousPast') types.push('continuous', 'past');
 		else if (tense) types.push(tense);
 
-		const options = [];
-		for (let wordNum = 0; wordNum < this.list.length; wordNum++) {
-			const thisWord = this.list[wordNum];
-			if ((!alreadyChosen || !alreadyChosen[thisWord.value]) && thisWord.hasTypes(types)) options.push(thisWord);
+		const typesKey = types.join(' ');
+		if (!this.byTypes[typesKey]) {
+			const matching = this.list.filter((thisWord) => thisWord.hasTypes(types));
+			this.byTypes[typesKey] = { words: matching, pool: countValues(matching.map((thisWord) => thisWord.value)) };
 		}
+		const { words, pool } = this.byTypes[typesKey];
+		const options = alreadyChosen ? words.filter((thisWord) => !alreadyChosen[thisWord.value]) : words;
 		if (!options.length) throw new Error('No verbs match criteria!');
-		return options[ReadablePassphrase.randomInt(options.length)];
+		const word = options[ReadablePassphrase.randomInt(options.length, randomness)];
+		// the list's RPWords are shared between phrases, so hand out a copy that can carry its own entropy
+		const chosen = new RPWord(Object.keys(word.types), word.value);
+		chosen.entropy = pickEntropy(pool, word.value, alreadyChosen);
+		return chosen;
 	}
 }
 
+/**
+ *  Leave words out of every word list in the dictionary (RPWordList.nouns, RPWordList.verbs, etc), as each list's block() does
+ *  @param {(string|string[])} words - a word, or list of words, eg. ReadablePassphrase.blocklists.familyFriendly
+ *  @return {number} how many entries (nouns, verbs, adjectives, etc) are now left out, across every list
+ *  @throws {Error} if that would leave a list empty (nothing is blocked then)
+ */
+RPWordList.block = function (words) {
+	return changeEveryList((wordList) => wordList.block(words));
+};
+
+/**
+ *  Put words left out by RPWordList.block() (or a list's own block()) back into every word list
+ *  @param {(string|string[])} [words] - a word, or list of words; if none are given, every blocked word is put back
+ *  @return {number} how many entries are still left out, across every list
+ */
+RPWordList.unblock = function (words) {
+	return changeEveryList((wordList) => wordList.unblock(words));
+};
+
+/**
+ *  Set the word bounds of every word list in the dictionary, as each list's setWordBounds() does.  That includes the short
+ *  lists of grammatical words, so eg. a minLength of 5 throws, as it leaves no demonstratives ('this', 'that').
+ *  @param {object} [bounds] - { minLength, maxLength, singleToken, plainCase, maxTier }; none given puts back every word they left out
+ *  @return {number} how many entries (nouns, verbs, adjectives, etc) are now left out, across every list (including blocked ones)
+ *  @throws {Error} if the bounds are invalid, or would leave a list empty (nothing changes then)
+ */
+RPWordList.setWordBounds = function (bounds) {
+	return changeEveryList((wordList) => wordList.setWordBounds(bounds));
+};
+
+/**
+ *  Call a function with more word bounds on every word list than setWordBounds() set (eg. { maxTier: 1 } for one phrase
+ *  of common words), then put every list back as it was
+ *  @param {object} bounds - bounds to add to each list's own, eg. { maxTier: 1 }
+ *  @param {function} callback - called with no arguments while the bounds apply
+ *  @return {*} whatever callback returns
+ *  @throws {Error} if the bounds are invalid or would leave a list empty, or if callback throws (the lists are put back either way)
+ */
+RPWordList.withWordBounds = function (bounds, callback) {
+	const before = filterableLists().map((wordList) => [wordList, wordList.bounds]);
+	changeEveryList((wordList) => wordList.setWordBounds({ ...wordList.bounds, ...bounds }));
+	try {
+		return callback();
+	} finally {
+		before.forEach(([wordList, listBounds]) => refilter(wordList, wordList.blocked, listBounds));
+	}
+};
+
 /**
  *  Tenses of each element in a verb passed to RPWordListVerb, in order
  */
@@ -174,28 +480,32 @@ export class RPWordListArticle {
 
 	/**
 	 *  Get a random definite article from the pool.  Currently always returns 'the'
+	 *  @param {function} [randomness] - a per-instance randomness source; defaults to ReadablePassphrase.randomness
 	 *  @return {RPWord} the chosen word
 	 */
-	getRandomDefiniteArticle() {
-		return this.getRandomWord(true);
+	getRandomDefiniteArticle(randomness) {
+		return this.getRandomWord(true, randomness);
 	}
 
 	/**
 	 *  Get a random indefinite article from the pool.  Currently always returns 'a'/'an'
+	 *  @param {function} [randomness] - a per-instance randomness source; defaults to ReadablePassphrase.randomness
 	 *  @return {RPWord} the chosen word
 	 */
-	getRandomIndefiniteArticle() {
-		return this.getRandomWord(false);
+	getRandomIndefiniteArticle(randomness) {
+		return this.getRandomWord(false, randomness);
 	}
 
 	/**
 	 *  Get a random article from the pool
 	 *  @param {boolean} definite - if true, returns a definite article (eg. 'the'), otherwise an indefinite one.
+	 *  @param {function} [randomness] - a per-instance randomness source; defaults to ReadablePassphrase.randomness
 	 *  @return {RPWord} the chosen word
 	 */
-	getRandomWord(definite) {
-		const word = this.list[ReadablePassphrase.randomInt(this.list.length)];
+	getRandomWord(definite, randomness) {
+		const word = this.list[ReadablePassphrase.randomInt(this.list.length, randomness)];
 		const returnWord = new RPWord(['article', definite ? 'definite' : 'indefinite'], definite ? word.definite : word.indefinite);
+		returnWord.entropy = Math.log2(this.list.length);
 		if (!definite) returnWord.indefiniteBeforeVowel = word.indefiniteBeforeVowel;
 		return returnWord;
 	}
@@ -225,16 +535,19 @@ export class RPWordListNumber {
 
 	/**
 	 *  Get a random plural number (between 2 and 'end', inclusive)
+	 *  @param {function} [randomness] - a per-instance randomness source; defaults to ReadablePassphrase.randomness
 	 *  @return {RPWord} the chosen word
 	 */
-	getPluralNumberWord() {
+	getPluralNumberWord(randomness) {
 		// NOTE: `start` is clamped to >= 2 here but (matching pre-existing behavior) the
 		// clamped value isn't actually used below — this.start is used instead, so the
 		// clamp currently has no effect. Preserved as-is; not in scope for this refactor.
 		let start = this.start;
 		if (start < 2) start = 2;
-		const thisNumber = ReadablePassphrase.randomInt(this.end - this.start) + this.start;
-		return new RPWord(['number'], thisNumber.toString());
+		const thisNumber = ReadablePassphrase.randomInt(this.end - this.start, randomness) + this.start;
+		const word = new RPWord(['number'], thisNumber.toString());
+		word.entropy = Math.log2(this.end - this.start);
+		return word;
 	}
 }
 
@@ -260,17 +573,20 @@ export class RPWordListIndefinitePronoun {
 	 *  Get a random word from the pool.
 	 *  @param {boolean} [personal] - true if a personal pronoun is being requested
 	 *  @param {boolean} [plural] - true if the plural form of the word is being requested
+	 *  @param {function} [randomness] - a per-instance randomness source; defaults to ReadablePassphrase.randomness
 	 *  @return {RPWord} the chosen word
 	 */
-	getRandomWord(personal, plural) {
+	getRandomWord(personal, plural, randomness) {
 		let searchList = this.list;
 		if (personal) searchList = this.personal;
 		else if (typeof personal !== 'undefined') searchList = this.impersonal;
 
-		const word = searchList[ReadablePassphrase.randomInt(searchList.length)];
-		return new RPWord(
+		const word = searchList[ReadablePassphrase.randomInt(searchList.length, randomness)];
+		const chosen = new RPWord(
 			['indefinitePronoun', 'pronoun', 'indefinite', plural ? 'plural' : 'singular'],
 			word[plural ? 'plural' : 'singular'],
 		);
+		chosen.entropy = Math.log2(searchList.length);
+		return chosen;
 	}
 }
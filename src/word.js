@@ -8,6 +8,8 @@ export class RPWord {
 	 */
 	constructor(types, value) {
 		this.value = value;
+		this.entropy = 0; // bits of randomness that went into choosing this word; set by the RPWordList that picked it
+		this.clause = null; // index of the clause the word belongs to; set by the ReadablePassphrase it's added to
 		this.types = {};
 		this.addTypes(types);
 	}
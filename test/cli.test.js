@@ -1,8 +1,11 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { existsSync, readFileSync } from 'node:fs';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { execFileSync } from 'node:child_process';
+import { rare } from '../src/dictionary/source/tiers.js';
 
 const cliPath = fileURLToPath(new URL('../bin/readable-passphrase.js', import.meta.url));
 const distExists = existsSync(fileURLToPath(new URL('../dist/readable-passphrase.mjs', import.meta.url)));
@@ -35,6 +38,7 @@ test('--list prints template and mutator names', { skip }, () => {
 	const output = runCli(['--list']);
 	assert.match(output, /Templates:.*normal/);
 	assert.match(output, /Mutators:.*standard/);
+	assert.match(output, /Profiles:.*mobile/);
 });
 
 test('--version prints the package version', { skip }, () => {
@@ -54,3 +58,50 @@ test('an unknown template errors with a non-zero exit code', { skip }, () => {
 test('an unknown option errors with a non-zero exit code', { skip }, () => {
 	assert.throws(() => runCli(['--bogus-flag']), /Command failed/);
 });
+
+test('--min-entropy generates phrases', { skip }, () => {
+	const lines = runCli(['--min-entropy', '70', '--count', '2']).trim().split('\n');
+	assert.equal(lines.length, 2);
+	for (const line of lines) assert.ok(line.length > 0);
+});
+
+test('--min-entropy rejects a non-numeric value', { skip }, () => {
+	assert.throws(() => runCli(['--min-entropy', 'lots']), /Command failed/);
+});
+
+test('--max-length limits the length of every phrase', { skip }, () => {
+	const lines = runCli(['--max-length', '32', '--separator', '-', '--count', '3']).trim().split('\n');
+	assert.equal(lines.length, 3);
+	for (const line of lines) assert.ok(line.length <= 32, line);
+});
+
+test('--unique prints every phrase of --count only once', { skip }, () => {
+	const lines = runCli(['--template', 'normal', '--count', '40', '--unique']).trim().split('\n');
+	assert.equal(lines.length, 40);
+	assert.equal(new Set(lines).size, 40);
+});
+
+test('--common leaves rare words out', { skip }, () => {
+	const lines = runCli(['--template', 'normal', '--count', '20', '--common']).trim().split('\n');
+	assert.equal(lines.length, 20);
+	for (const line of lines) assert.ok(!line.split(' ').some((word) => rare.adverbs.includes(word)), line);
+});
+
+test('--profile mobile keeps capitals and digits out of the middle of words', { skip }, () => {
+	const lines = runCli(['--profile', 'mobile', '--mutator', 'random', '--count', '10']).trim().split('\n');
+	assert.equal(lines.length, 10);
+	for (const line of lines) assert.doesNotMatch(line, /\p{L}\p{Lu}|\p{L}\d+\p{L}/u);
+});
+
+test('--require loads a module whose registered mutators can be listed and used', { skip }, (t) => {
+	const dir = mkdtempSync(path.join(tmpdir(), 'readable-passphrase-'));
+	t.after(() => rmSync(dir, { recursive: true, force: true }));
+	const distUrl = new URL('../dist/readable-passphrase.mjs', import.meta.url).href;
+	const file = path.join(dir, 'house-style.mjs');
+	writeFileSync(file, `import { RPMutator } from ${JSON.stringify(distUrl)};\nRPMutator.register('house', { upper: 'none', numbers: 'none', symbols: ['EndOfPhrase', 1, '!'] });\n`);
+
+	assert.match(runCli(['--require', file, '--list']), /Mutators:.*house/);
+	const lines = runCli(['-r', file, '--mutator', 'house', '--count', '2']).trim().split('\n');
+	for (const line of lines) assert.match(line, /!$/);
+	assert.throws(() => runCli(['--mutator', 'house']), /Command failed/);
+});
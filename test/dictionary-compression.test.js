@@ -1,7 +1,7 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
 import { RPWordListPlural, RPWordListVerb } from '../src/word-list.js';
-import { compressNouns, compressVerbs } from '../scripts/dictionary-compression.js';
+import { compressNouns, compressVerbs, compressTiers } from '../scripts/dictionary-compression.js';
 import nounsSource from '../src/dictionary/source/nouns.js';
 import verbsSource from '../src/dictionary/source/verbs.js';
 import intransitiveVerbsSource from '../src/dictionary/source/intransitive-verbs.js';
@@ -38,3 +38,9 @@ test('intransitive verb compression round-trips losslessly', () => {
 		fromSource.list.map((w) => w.value),
 	);
 });
+
+test('tier compression gives every entry of each list its tier, in order', () => {
+	assert.deepEqual(compressTiers([['dog', 'abattoir', 'aardvark', 'dog'], ['eat']], ['dog', 'eat'], ['abattoir']), ['1321', '1']);
+	assert.throws(() => compressTiers([['dog']], ['dog'], ['dog']), /"dog" is in more than one tier/);
+	assert.throws(() => compressTiers([['dog']], ['dgo'], []), /aren't in the dictionary: dgo/);
+});
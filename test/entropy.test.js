@@ -1,6 +1,6 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { ReadablePassphrase, RPSentenceTemplate } from '../src/index.js';
+import { ReadablePassphrase, RPMutator, RPSentenceTemplate, RPWordList, RPWordListVerb } from '../src/index.js';
 
 for (const name of ReadablePassphrase.templates()) {
 	test(`entropyOf("${name}") is a stable, positive, finite number`, () => {
@@ -18,3 +18,200 @@ test('ReadablePassphrase.entropyOf adds mutator entropy to template entropy', ()
 	const withMutator = ReadablePassphrase.entropyOf('normal', 'standard');
 	assert.ok(withMutator > templateOnly);
 });
+
+test('phrase.entropy() is the sum of the choices in phrase.entropyBreakdown()', () => {
+	for (const name of ['random', 'randomForever', 'insaneSpeech']) {
+		const phrase = new ReadablePassphrase(name, 'random');
+		phrase.toString();
+		const breakdown = phrase.entropyBreakdown();
+		let total = 0;
+		for (const entry of breakdown) {
+			assert.ok(entry.bits > 0 && Number.isFinite(entry.bits), `bad entry: ${JSON.stringify(entry)}`);
+			total += entry.bits;
+		}
+		assert.ok(Math.abs(phrase.entropy() - total) < 1e-9);
+	}
+});
+
+test('phrase.entropy() counts exactly log2 of the pool size for a single uniform choice', () => {
+	const phrase = new ReadablePassphrase(new RPSentenceTemplate(['conjunction']));
+	assert.equal(phrase.entropy(), Math.log2(RPWordList.conjunctions.length));
+	assert.deepEqual(phrase.entropyBreakdown(), [{ clause: 0, kind: 'word', source: 'conjunction', bits: Math.log2(RPWordList.conjunctions.length) }]);
+});
+
+test('picking from a collection of templates is counted as a choice', () => {
+	const phrase = new ReadablePassphrase('random');
+	const first = phrase.entropyBreakdown()[0];
+	assert.deepEqual(first, { clause: null, kind: 'template', source: 'random', bits: Math.log2(RPSentenceTemplate.templates.random.length) });
+});
+
+test('phrase.entropy() includes the mutator choices of the most recent toString()', () => {
+	const phrase = new ReadablePassphrase('normal', 'standard');
+	const before = phrase.entropy();
+	phrase.toString();
+	const mutations = phrase.entropyBreakdown().filter((entry) => entry.kind === 'mutator');
+	assert.ok(mutations.length > 0);
+	assert.ok(phrase.entropy() > before);
+	phrase.toString();
+	assert.equal(phrase.entropyBreakdown().filter((entry) => entry.kind === 'mutator').length, mutations.length, 'mutator choices must not pile up across calls');
+});
+
+test('RPMutator.entropy() is stable when the number count is random', () => {
+	const mutator = new RPMutator({ upper: ['none'], numbers: ['EndOfWord'] });
+	assert.equal(mutator.entropy(), mutator.entropy());
+});
+
+test('stacked adjectives are different, in the usual order, and report the entropy lost to ordering', () => {
+	// pick "wooden" then "big": they're swapped into size-before-material order
+	const indexes = [RPWordList.adjectives.list.indexOf('wooden'), RPWordList.adjectives.list.indexOf('big')];
+	const phrase = new ReadablePassphrase(undefined, undefined, { randomness: () => indexes.shift() });
+	phrase.addAdjectives(2);
+	assert.equal(phrase.toString(), 'big wooden');
+	assert.deepEqual(phrase.entropyBreakdown().filter((entry) => entry.kind === 'constraint'), [{ clause: null, kind: 'constraint', source: 'adjectiveOrder', bits: -1 }]);
+
+	const template = RPSentenceTemplate.parse('the [adjs 3] NOUN');
+	for (let seed = 0; seed < 10; seed++) {
+		const words = new ReadablePassphrase(template, undefined, { seed }).toString().split(' ').slice(1, 4);
+		assert.equal(new Set(words).size, 3);
+		const ranks = words.map((word) => RPWordList.adjectiveOrder.findIndex((group) => group.includes(word)) + 1);
+		assert.deepEqual(ranks, [...ranks].sort((a, b) => a - b));
+	}
+});
+
+test('blocked words are left out of the pools, and entropy is counted from what is left', (t) => {
+	t.after(() => ReadablePassphrase.unblock());
+	const conjunctions = RPWordList.conjunctions.length;
+	const nouns = RPWordList.nouns.length;
+	const verbs = RPWordList.verbs.length;
+	const estimate = ReadablePassphrase.entropyOf('normal');
+
+	assert.equal(ReadablePassphrase.block(['AND', 'murder', 'abuser']), 4); // 'and' and 'and even'; every tense of 'murder'
+	assert.equal(RPWordList.conjunctions.length, conjunctions - 2);
+	assert.equal(RPWordList.nouns.length, nouns - 1);
+	assert.equal(RPWordList.verbs.length, verbs - RPWordListVerb.tenses.length);
+	assert.ok(ReadablePassphrase.entropyOf('normal') < estimate);
+	for (let i = 0; i < 20; i++) {
+		const phrase = new ReadablePassphrase(new RPSentenceTemplate(['conjunction']));
+		assert.ok(!['and', 'and even'].includes(phrase.toString()), phrase.toString());
+		assert.equal(phrase.entropy(), Math.log2(conjunctions - 2));
+	}
+
+	assert.throws(() => ReadablePassphrase.block(RPWordList.conjunctions.list), /would leave no words of type conjunction/);
+	assert.equal(RPWordList.conjunctions.length, conjunctions - 2, 'a failed block() blocks nothing');
+	assert.equal(ReadablePassphrase.unblock('and'), 2);
+	assert.equal(ReadablePassphrase.unblock(), 0);
+	assert.equal(RPWordList.verbs.length, verbs);
+	assert.equal(ReadablePassphrase.entropyOf('normal'), estimate);
+});
+
+test('the family-friendly blocklist leaves out the words it lists', (t) => {
+	t.after(() => ReadablePassphrase.unblock());
+	ReadablePassphrase.block(ReadablePassphrase.blocklists.familyFriendly);
+	assert.ok(!RPWordList.adverbs.list.includes('profanely'));
+	assert.ok(!RPWordList.nouns.list.some((pair) => pair[0] === 'abuser'));
+	assert.ok(!RPWordList.properNouns.list.includes('the Nazi'));
+	assert.ok(RPWordList.nouns.list.some((pair) => pair[0] === 'acorn'));
+});
+
+test('word bounds leave out entries that do not fit, and entropy is counted from what is left', (t) => {
+	t.after(() => ReadablePassphrase.setWordBounds());
+	t.after(() => ReadablePassphrase.unblock());
+	const prepositions = RPWordList.prepositions.length;
+	const estimate = ReadablePassphrase.entropyOf('normal');
+
+	ReadablePassphrase.setWordBounds({ singleToken: true });
+	assert.ok(RPWordList.prepositions.length < prepositions);
+	assert.ok(!RPWordList.prepositions.list.includes('according to'));
+	assert.ok(!RPWordList.verbs.list.some((verb) => verb.value === 'aim at'), 'phrasal verbs are more than one word');
+	assert.ok(RPWordList.verbs.list.some((verb) => verb.value === 'will judge'), "the 'will' in front of a verb doesn't count");
+
+	ReadablePassphrase.setWordBounds({ minLength: 3, maxLength: 8 });
+	assert.ok(RPWordList.prepositions.list.includes('apart from'), 'new bounds replace the old ones');
+	assert.ok(!RPWordList.verbs.list.some((verb) => verb.value.endsWith('abolish')), "every form has to fit, and 'abolishing' doesn't");
+	for (const list of [RPWordList.adjectives.list, RPWordList.nouns.list.flat()]) {
+		for (const entry of list) assert.ok(!entry || entry.split(' ').every((word) => word.length >= 3 && word.length <= 8), entry);
+	}
+	assert.ok(ReadablePassphrase.entropyOf('normal') < estimate);
+	for (let i = 0; i < 20; i++) {
+		const phrase = new ReadablePassphrase(new RPSentenceTemplate(['conjunction']));
+		assert.equal(phrase.entropy(), Math.log2(RPWordList.conjunctions.length));
+	}
+
+	assert.throws(() => ReadablePassphrase.setWordBounds({ minLength: 5 }), /would leave no words of type/);
+	assert.equal(RPWordList.conjunctions.list.length, RPWordList.conjunctions.length, 'a failed setWordBounds() changes nothing');
+	assert.ok(RPWordList.prepositions.list.includes('apart from'));
+	assert.throws(() => ReadablePassphrase.setWordBounds({ minLength: 6, maxLength: 4 }), /minLength \(6\) is more than maxLength \(4\)/);
+	assert.throws(() => ReadablePassphrase.setWordBounds({ maxLength: 0 }), /maxLength must be a positive whole number/);
+
+	ReadablePassphrase.block('murder');
+	assert.equal(ReadablePassphrase.setWordBounds(), 1, 'blocked words stay blocked');
+	ReadablePassphrase.unblock();
+	assert.equal(ReadablePassphrase.entropyOf('normal'), estimate);
+});
+
+test('maxTier leaves out rarer words, for every phrase or just one', (t) => {
+	t.after(() => ReadablePassphrase.setWordBounds());
+	const nouns = RPWordList.nouns.length;
+	const prepositions = RPWordList.prepositions.length;
+	const estimate = ReadablePassphrase.entropyOf('normal');
+	const hasNoun = (noun) => RPWordList.nouns.list.some((pair) => pair[0] === noun);
+
+	ReadablePassphrase.setWordBounds({ maxTier: 2 });
+	assert.ok(!hasNoun('abattoir') && hasNoun('aardvark') && hasNoun('acorn'));
+	assert.ok(!RPWordList.verbs.list.some((verb) => verb.value === 'will abrogate'));
+	assert.equal(RPWordList.prepositions.length, prepositions, "lists without tiers aren't changed");
+
+	ReadablePassphrase.setWordBounds({ maxTier: 1 });
+	assert.ok(!hasNoun('aardvark') && hasNoun('acorn'));
+	const commonEstimate = ReadablePassphrase.entropyOf('normal');
+	assert.ok(commonEstimate < estimate);
+	assert.equal(ReadablePassphrase.generateMany(3, { templates: ['normal'] }).entropy, commonEstimate);
+	assert.throws(() => ReadablePassphrase.setWordBounds({ maxTier: 0 }), /maxTier must be 1, 2 or 3/);
+
+	ReadablePassphrase.setWordBounds({ maxLength: 8 });
+	const shortEstimate = ReadablePassphrase.entropyOf('normal');
+	assert.ok(ReadablePassphrase.generateMany(3, { templates: ['normal'], maxTier: 1 }).entropy < shortEstimate);
+	assert.equal(ReadablePassphrase.entropyOf('normal'), shortEstimate, 'a maxTier option only applies to the phrases it generates');
+	assert.ok(ReadablePassphrase.generate({ maxTier: 1, minEntropy: 60 }).entropy() > 0);
+	assert.ok(RPWordList.nouns.list.every((pair) => !pair[0] || pair[0].split(' ').every((word) => word.length <= 8)), "...and keeps the lists' own bounds");
+
+	ReadablePassphrase.setWordBounds();
+	assert.equal(RPWordList.nouns.length, nouns);
+});
+
+test('the mobile profile leaves out multi-word entries and odd capitals, and profileCost() says what it costs', (t) => {
+	t.after(() => ReadablePassphrase.setWordBounds());
+	const properNouns = RPWordList.properNouns.length;
+	const estimate = ReadablePassphrase.entropyOf('random', 'random');
+
+	ReadablePassphrase.setWordBounds({ plainCase: true });
+	assert.ok(!RPWordList.properNouns.list.includes('McDonald') && !RPWordList.properNouns.list.includes("O'Brien"));
+	assert.ok(RPWordList.properNouns.list.includes('Aaron'));
+	ReadablePassphrase.setWordBounds();
+
+	const cost = ReadablePassphrase.profileCost('mobile', 'random', 'random');
+	assert.ok(cost.words > 0 && cost.mutator > 0);
+	assert.equal(cost.total, cost.words + cost.mutator);
+	assert.equal(ReadablePassphrase.profileCost('mobile', 'random', 'standard').mutator, 0, 'capitalising a whole word is estimated the same as its first letter');
+	const { entropy } = ReadablePassphrase.generateMany(5, { profile: 'mobile', templates: ['random'], mutator: 'random' });
+	assert.ok(Math.abs(entropy - (estimate - cost.total)) < 1e-9, `${entropy} bits`);
+	assert.equal(RPWordList.properNouns.length, properNouns, 'the profile only applies to the phrases it generates');
+	assert.throws(() => ReadablePassphrase.generate({ profile: 'watch' }), /Unknown profile: watch/);
+});
+
+test('a relative clause adds the bits of its tense, optional adverb and verb', () => {
+	const plain = RPSentenceTemplate.parse('the NOUN RELATIVE the NOUN VERB the NOUN');
+	const chosen = RPSentenceTemplate.parse('the NOUN RELATIVE(past|present) [adv 1:3] the NOUN VERB the NOUN');
+	const verb = Math.log2(RPWordList.verbs.length / RPWordListVerb.tenses.length);
+	const adverb = -(0.25 * Math.log2(0.25) + 0.75 * Math.log2(0.75)) + 0.25 * (Math.log2(RPWordList.adverbs.length) + 1);
+	const nounsAndVerb = plain.entropy() - verb; // (a plain relative clause is just the verb)
+	assert.ok(Math.abs(chosen.entropy() - (nounsAndVerb + 1 + adverb + verb)) < 1e-9, `${chosen.entropy()} bits`);
+});
+
+test('an optional prepositional phrase adds the bits of whether it is there, and its words when it is', () => {
+	const always = RPSentenceTemplate.parse('the NOUN VERB the NOUN the PHRASE').entropy();
+	const never = RPSentenceTemplate.parse('the NOUN VERB the NOUN the PHRASE(include 0:1)').entropy();
+	const sometimes = RPSentenceTemplate.parse('the NOUN VERB the NOUN the PHRASE(include 30:70)').entropy();
+	const include = -(0.3 * Math.log2(0.3) + 0.7 * Math.log2(0.7));
+	assert.ok(Math.abs(sometimes - (never + include + 0.3 * (always - never))) < 1e-9, `${sometimes} bits`);
+});
@@ -1,6 +1,6 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { ReadablePassphrase } from '../src/index.js';
+import { ReadablePassphrase, RPSentenceTemplate, RPWordList } from '../src/index.js';
 
 test('lists at least the documented predefined templates', () => {
 	const templates = ReadablePassphrase.templates();
@@ -36,3 +36,279 @@ test('toString() with no argument still defaults to a space', () => {
 	assert.ok(!phrase.toString().includes('undefined'));
 	assert.ok(phrase.toString().includes(' '));
 });
+
+test('the same seed, template and mutator always produce the same phrase', () => {
+	for (const name of ['random', 'randomForever', 'insaneSpeech']) {
+		const first = new ReadablePassphrase(name, 'random', { seed: 'fixture-1' }).toString();
+		const second = new ReadablePassphrase(name, 'random', { seed: 'fixture-1' }).toString();
+		assert.equal(first, second);
+	}
+});
+
+test('different seeds produce different phrases', () => {
+	const phrases = new Set();
+	for (let i = 0; i < 10; i++) phrases.add(new ReadablePassphrase('randomLong', undefined, { seed: i }).toString());
+	assert.ok(phrases.size > 1);
+});
+
+test('a seeded phrase ignores ReadablePassphrase.randomness', () => {
+	const expected = new ReadablePassphrase('random', 'standard', { seed: 'fixture-2' }).toString();
+	const original = ReadablePassphrase.randomness;
+	ReadablePassphrase.randomness = () => {
+		throw new Error('the global randomness hook should not be used');
+	};
+	try {
+		assert.equal(new ReadablePassphrase('random', 'standard', { seed: 'fixture-2' }).toString(), expected);
+	} finally {
+		ReadablePassphrase.randomness = original;
+	}
+});
+
+test('options.randomness is used for every draw instead of ReadablePassphrase.randomness', () => {
+	let draws = 0;
+	const source = ReadablePassphrase.seededRandomness('fixture-3');
+	const counting = (multiplier) => {
+		draws++;
+		return source(multiplier);
+	};
+	const original = ReadablePassphrase.randomness;
+	ReadablePassphrase.randomness = () => {
+		throw new Error('the global randomness hook should not be used');
+	};
+	try {
+		const phrase = new ReadablePassphrase('random', 'random', { randomness: counting });
+		assert.ok(phrase.toString().length > 0);
+		assert.ok(draws > 0);
+	} finally {
+		ReadablePassphrase.randomness = original;
+	}
+});
+
+test('two generators with their own randomness sources do not affect each other', () => {
+	const expected = new ReadablePassphrase('normal', undefined, { randomness: ReadablePassphrase.seededRandomness('fixture-4') }).toString();
+	const interleaved = new ReadablePassphrase(undefined, undefined, { randomness: ReadablePassphrase.seededRandomness('fixture-4') });
+	new ReadablePassphrase('randomForever', 'random', { randomness: ReadablePassphrase.seededRandomness('other') }).toString();
+	new ReadablePassphrase('randomForever', 'random').toString(); // the global hook
+	interleaved.addTemplate('normal');
+	assert.equal(interleaved.toString(), expected);
+});
+
+test('options.randomness must be a function, and cannot be combined with a seed', () => {
+	assert.throws(() => new ReadablePassphrase('normal', undefined, { randomness: 4 }), TypeError);
+	assert.throws(() => new ReadablePassphrase('normal', undefined, { randomness: () => 0, seed: 1 }), /not both/);
+});
+
+test('generate({ minEntropy }) chains templates until their estimated entropy reaches the target', () => {
+	// 'normal' is ~28 bits and always has 3 clauses, so 70 bits needs 3 of them
+	const phrase = ReadablePassphrase.generate({ minEntropy: 70, templates: ['normal'] });
+	assert.equal(phrase.clauseCount, 9);
+	assert.ok(ReadablePassphrase.entropyOf('normal') * 3 >= 70);
+});
+
+test('generate() counts the mutator towards minEntropy', () => {
+	const target = ReadablePassphrase.entropyOf('normal', 'standard') - 1;
+	const phrase = ReadablePassphrase.generate({ minEntropy: target, templates: ['normal'], mutator: 'standard' });
+	assert.equal(phrase.clauseCount, 3);
+});
+
+test('generate() picks the shortest template that covers the target', () => {
+	const names = ReadablePassphrase.templates();
+	const weakest = Math.min(...names.map((name) => ReadablePassphrase.entropyOf(name)));
+	const phrase = ReadablePassphrase.generate({ minEntropy: weakest - 1 });
+	assert.ok(phrase.toString().length > 0);
+	assert.equal(ReadablePassphrase.entropyOf(phrase.template.name), weakest);
+});
+
+test('generate() rejects unknown template names', () => {
+	assert.throws(() => ReadablePassphrase.generate({ minEntropy: 10, templates: ['nope'] }), /Unknown template/);
+});
+
+test('chained templates agree verbs with their own sentence only', () => {
+	const verbFor = (subject) => {
+		const phrase = new ReadablePassphrase(undefined, undefined, { seed: 'agreement' });
+		phrase.addTemplate(new RPSentenceTemplate([subject]));
+		phrase.addTemplate(new RPSentenceTemplate([['noun', 1, 0, 0, 0, 1, 0, 0, 0, false, false, false, true], ['verb', 1, 0, 0, 0, 0, 0, 0, false, false, 0, 0]]));
+		return phrase.parts[phrase.length - 1];
+	};
+	// a plural noun in the first sentence must not make the second sentence's verb plural
+	assert.ok(verbFor(['noun', 1, 0, 0, 0, 1, 0, 0, 0, false, false, false, false]).hasTypes('singular'));
+});
+
+test('a relative clause agrees with the noun it describes, and the main verb with the subject', () => {
+	const aboutSubject = RPSentenceTemplate.parse('the NOUN(singular 1:1) RELATIVE(past|present) the NOUN(singular 1:1) VERB(present|past) the NOUN');
+	const aboutObject = RPSentenceTemplate.parse('the NOUN(singular 1:1) VERB(present|past) the NOUN(singular 1:1) RELATIVE(past|present) the NOUN');
+	assert.ok(aboutSubject.entropy() > RPSentenceTemplate.parse('the NOUN(singular 1:1) VERB(present|past) the NOUN').entropy());
+	for (let seed = 0; seed < 20; seed++) {
+		const phrase = new ReadablePassphrase(aboutSubject, undefined, { seed });
+		const [subject] = phrase.parts.filter((word) => word.hasTypes('noun'));
+		const [relativeVerb, mainVerb] = phrase.parts.filter((word) => word.hasTypes('verb'));
+		assert.match(phrase.toString(), / that /);
+		assert.equal(relativeVerb.hasTypes('plural'), subject.hasTypes('plural'), phrase.toString());
+		assert.equal(mainVerb.hasTypes('plural'), subject.hasTypes('plural'), phrase.toString());
+	}
+	for (let seed = 0; seed < 20; seed++) {
+		const phrase = new ReadablePassphrase(aboutObject, undefined, { seed });
+		const [, object] = phrase.parts.filter((word) => word.hasTypes('noun'));
+		const [, relativeVerb] = phrase.parts.filter((word) => word.hasTypes('verb'));
+		assert.equal(relativeVerb.hasTypes('plural'), object.hasTypes('plural'), phrase.toString());
+	}
+});
+
+test('a prepositional phrase adds a preposition and a noun after the object, as often as include says', () => {
+	const always = RPSentenceTemplate.parse('the NOUN VERB(past) the NOUN the|my PHRASE(common|proper)');
+	const never = RPSentenceTemplate.parse('the NOUN VERB(past) the NOUN the|my PHRASE(common|proper, include 0:1)');
+	const base = RPSentenceTemplate.parse('the NOUN VERB(past) the NOUN');
+	assert.ok(always.entropy() > base.entropy());
+	for (let seed = 0; seed < 10; seed++) {
+		const phrase = new ReadablePassphrase(always, undefined, { seed });
+		const words = phrase.parts.filter((word) => !word.hasTypes('article') && !word.hasTypes('personalPronoun'));
+		assert.ok(words[3].hasTypes('preposition'), phrase.toString());
+		assert.ok(words[4].hasTypes('noun') || words[4].hasTypes('properNoun'), phrase.toString());
+		assert.equal(new ReadablePassphrase(never, undefined, { seed }).toString(), new ReadablePassphrase(base, undefined, { seed }).toString());
+	}
+});
+
+test('punctuation ends each sentence and marks speech, without changing the words or the entropy', () => {
+	const plain = new ReadablePassphrase('normal', undefined, { seed: 'punctuation' });
+	const punctuated = new ReadablePassphrase('normal', undefined, { seed: 'punctuation', punctuation: true });
+	assert.equal(punctuated.toString().slice(0, -1), plain.toString());
+	assert.equal(punctuated.toString().slice(-1), plain.parts.some((word) => word.hasTypes('interrogative')) ? '?' : '.');
+	assert.equal(punctuated.entropy(), plain.entropy());
+
+	const question = new ReadablePassphrase(RPSentenceTemplate.parse('the NOUN VERB question the NOUN'), undefined, { seed: 1, punctuation: true });
+	assert.match(question.toString(), /^\w+ the [^?.]+\?$/);
+	const speech = new ReadablePassphrase(RPSentenceTemplate.parse('the NOUN SPEECH the NOUN VERB the NOUN'), undefined, { seed: 1, punctuation: 'quotes' });
+	assert.match(speech.toString(), /^the \w+ \w+, "the [^",.]+\."$/);
+
+	const twoSentences = new ReadablePassphrase('normal', undefined, { seed: 2, punctuation: true });
+	twoSentences.addTemplate('normal');
+	assert.equal(twoSentences.toString().match(/\./g).length, 2);
+	assert.throws(() => new ReadablePassphrase('normal', undefined, { punctuation: 'yes' }), /options.punctuation must be/);
+});
+
+test('casing capitalizes sentences, every word or nothing, and can lowercase proper nouns', () => {
+	const template = RPSentenceTemplate.parse('NOUN(proper) SPEECH the NOUN VERB the NOUN');
+	const phrase = (options) => new ReadablePassphrase(template, undefined, { seed: 'casing', ...options }).toString();
+	const words = phrase().split(' ');
+	assert.match(words[0], /^[A-Z]/);
+	assert.equal(phrase({ casing: 'sentence' }), words.join(' '));
+	assert.equal(phrase({ casing: 'sentence', punctuation: 'quotes' }), `${words[0]} ${words[1]}, "The ${words.slice(3).join(' ')}."`);
+	assert.equal(phrase({ casing: 'title' }), words.map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join(' '));
+	assert.equal(phrase({ casing: 'lower' }), words.join(' ').toLowerCase());
+	assert.equal(phrase({ lowerProperNouns: true }), [words[0].toLowerCase()].concat(words.slice(1)).join(' '));
+	assert.equal(phrase({ lowerProperNouns: true, casing: 'sentence' }), words.join(' '));
+	assert.throws(() => new ReadablePassphrase('normal', undefined, { casing: 'upper' }), /options.casing must be/);
+});
+
+test('toTokens() gives every word with its role, and its text joins back into toString()', () => {
+	const mutator = { upper: 'RunOfLetters', numbers: ['Anywhere', 3], symbols: ['EndOfPhrase', 1], substitute: { type: 'Anywhere', rate: 40 } };
+	for (const [options, separator] of [[{}, undefined], [{ punctuation: 'quotes', casing: 'sentence' }, ''], [{}, '-']]) {
+		for (let seed = 0; seed < 10; seed++) {
+			const phrase = new ReadablePassphrase('insaneSpeech', mutator, { seed, ...options });
+			const text = phrase.toString(separator);
+			const tokens = phrase.toTokens();
+			assert.equal(tokens.map((token) => token.text).join(separator === undefined ? ' ' : separator), text);
+			assert.equal(tokens.length, phrase.parts.length);
+			assert.deepEqual(JSON.parse(JSON.stringify(tokens)), tokens);
+		}
+	}
+
+	const phrase = new ReadablePassphrase('normal', { numbers: ['EndOfPhrase', 1] }, { seed: 'tokens' });
+	assert.deepEqual(phrase.toTokens()[0], { value: phrase.parts[0].value, text: phrase.parts[0].value, types: Object.keys(phrase.parts[0].types), clause: 0, mutations: [] });
+	phrase.toString();
+	const last = phrase.toTokens()[phrase.length - 1];
+	assert.deepEqual(last.mutations, [{ word: 0, type: 'number', technique: 'EndOfPhrase', position: Array.from(last.value).length, removed: '', inserted: last.text.slice(-1) }]);
+	assert.equal(last.clause, 2);
+	assert.ok(last.types.includes('noun'));
+});
+
+test('generate({ maxLength }) only returns phrases that fit, even after mutating', () => {
+	for (let i = 0; i < 5; i++) {
+		const phrase = ReadablePassphrase.generate({ maxLength: 32, templates: ['random', 'normal'], mutator: 'random', separator: '-', seed: i });
+		for (let call = 0; call < 5; call++) assert.ok(phrase.toString().length <= 32, phrase.toString());
+	}
+});
+
+test('generate({ maxLength }) counts punctuation towards the length', () => {
+	for (let i = 0; i < 5; i++) {
+		const phrase = ReadablePassphrase.generate({ maxLength: 30, templates: ['normalSpeech', 'normal'], punctuation: 'quotes', seed: i });
+		assert.ok(phrase.toString().length <= 30, phrase.toString());
+		assert.match(phrase.toString(), /[.?]"?$/);
+	}
+});
+
+test('generate({ maxLength }) reports the entropy lost to the limit', () => {
+	const phrase = ReadablePassphrase.generate({ maxLength: 30, templates: ['randomLong', 'normal'], seed: 'short' });
+	const lost = phrase.entropyBreakdown().filter((entry) => entry.kind === 'constraint');
+	assert.equal(lost.length, 1);
+	assert.equal(lost[0].source, 'maxLength');
+	assert.ok(lost[0].bits < 0);
+	const chosen = phrase.entropyBreakdown().reduce((total, entry) => total + Math.max(entry.bits, 0), 0);
+	assert.ok(Math.abs(phrase.entropy() - (chosen + lost[0].bits)) < 1e-9);
+
+	const again = ReadablePassphrase.generate({ maxLength: 30, templates: ['randomLong', 'normal'], seed: 'another' });
+	assert.deepEqual(again.entropyBreakdown().filter((entry) => entry.kind === 'constraint'), lost, 'the same options lose the same bits');
+});
+
+test('generate({ maxLength }) only falls back to the templates it was given', () => {
+	const allowed = ['strongRequiredAnd', 'normal'];
+	for (let i = 0; i < 3; i++) {
+		const phrase = ReadablePassphrase.generate({ maxLength: 28, templates: allowed, seed: i });
+		assert.ok(phrase.toString().length <= 28, phrase.toString());
+		assert.deepEqual(phrase.templatesAdded, ['normal']);
+	}
+	assert.throws(() => ReadablePassphrase.generate({ maxLength: 28, templates: ['strongRequiredAnd'] }), /at most 28 characters/);
+});
+
+test('generate({ minEntropy }) rejects targets that are not a number of bits, or out of reach', () => {
+	assert.throws(() => ReadablePassphrase.generate({ minEntropy: 'abc' }), { name: 'TypeError', message: /minEntropy must be a number of bits, got: abc/ });
+	for (const bad of [NaN, -1, Infinity]) assert.throws(() => ReadablePassphrase.generate({ minEntropy: bad }), { name: 'RangeError', message: /finite, non-negative number of bits/ }, String(bad));
+	assert.throws(() => ReadablePassphrase.generate({ minEntropy: 1000 }), { name: 'RangeError', message: /Cannot reach 1000 bits of entropy: 4 templates in a row give about \d+ at most/ });
+	assert.throws(() => ReadablePassphrase.generateMany(3, { minEntropy: 1000 }), /Cannot reach 1000 bits/);
+	assert.ok(ReadablePassphrase.generate({ minEntropy: 200 }).entropy() > 0);
+});
+
+test('generate({ maxLength }) rejects a limit that is not a positive whole number', () => {
+	assert.throws(() => ReadablePassphrase.generate({ maxLength: 'abc' }), { name: 'TypeError', message: /maxLength must be a number of characters, got: abc/ });
+	for (const bad of [0, -5, 20.5, NaN]) assert.throws(() => ReadablePassphrase.generate({ maxLength: bad }), { name: 'RangeError', message: /maxLength must be a positive whole number/ }, String(bad));
+	assert.throws(() => ReadablePassphrase.generateMany(2, { maxLength: 0 }), /maxLength must be a positive whole number/);
+});
+
+test('generate({ maxLength }) fails clearly when the limit and minEntropy cannot both be met', () => {
+	assert.throws(() => ReadablePassphrase.generate({ maxLength: 10, minEntropy: 60 }), /at most 10 characters with at least 60 bits/);
+});
+
+test('mutationHints() describes what the most recent toString() changed', () => {
+	const phrase = new ReadablePassphrase('random', { upper: ['WholeWord', 1], numbers: ['EndOfPhrase', 1] }, { seed: 'hints' });
+	assert.deepEqual(phrase.mutationHints(), []);
+	const mutated = phrase.toString();
+	const hints = phrase.mutationHints();
+	assert.equal(hints.length, 2);
+	assert.match(hints[0], /^capitalised [A-Z]+$/);
+	assert.ok(mutated.endsWith(hints[1].replace(/^added (\d) after (\S+)$/, '$2$1')), `${hints[1]} / ${mutated}`);
+});
+
+test('generateMany() gives distinct phrases and the birthday-bound chance of a collision', () => {
+	const batch = ReadablePassphrase.generateMany(50, { templates: ['normal'], mutator: 'standard', separator: '-', seed: 'batch' });
+	assert.equal(batch.phrases.length, 50);
+	assert.equal(new Set(batch.phrases).size, 50);
+	for (const phrase of batch.phrases) assert.ok(!phrase.includes(' '), phrase);
+	assert.ok(Math.abs(batch.entropy - ReadablePassphrase.entropyOf('normal', 'standard')) < 1e-9);
+	assert.ok(Math.abs(batch.collisionProbability - (1 - Math.exp(-(50 * 49) / 2 / Math.pow(2, batch.entropy)))) < 1e-12);
+	assert.deepEqual(ReadablePassphrase.generateMany(50, { templates: ['normal'], mutator: 'standard', separator: '-', seed: 'batch' }), batch);
+	assert.ok(ReadablePassphrase.generateMany(1000, { templates: ['normal'] }).collisionProbability > ReadablePassphrase.generateMany(10, { templates: ['normal'] }).collisionProbability);
+	assert.equal(ReadablePassphrase.generateMany(1, { templates: ['normal'] }).collisionProbability, 0);
+});
+
+test('generateMany() counts entropy lost to maxLength, and gives up when it runs out of distinct phrases', (t) => {
+	const limited = ReadablePassphrase.generateMany(5, { templates: ['normal'], maxLength: 30, seed: 'short batch' });
+	assert.ok(limited.entropy < RPSentenceTemplate.entropyOf('normal'));
+
+	RPSentenceTemplate.register('justConjunctions', ['conjunction']);
+	t.after(() => RPSentenceTemplate.unregister('justConjunctions'));
+	const conjunctions = RPWordList.conjunctions.length;
+	assert.equal(new Set(ReadablePassphrase.generateMany(conjunctions, { templates: ['justConjunctions'] }).phrases).size, conjunctions);
+	assert.throws(() => ReadablePassphrase.generateMany(conjunctions + 1, { templates: ['justConjunctions'] }), new RegExp(`Could not generate ${conjunctions + 1} distinct phrases \\(only found ${conjunctions}\\)`));
+	assert.equal(ReadablePassphrase.generateMany(conjunctions + 1, { templates: ['justConjunctions'], unique: false }).phrases.length, conjunctions + 1);
+	assert.throws(() => ReadablePassphrase.generateMany(1.5), /count must be a whole number/);
+});
@@ -72,3 +72,220 @@ test('mutating a decomposed accented character (combining mark) composes it befo
 		assert.ok(!mutated.includes(combiningAcuteAccent), `combining accent was left detached: ${JSON.stringify(mutated)}`);
 	}
 });
+
+test('a mutator given a seeded randomness source mutates deterministically', () => {
+	const a = new RPMutator('random', ReadablePassphrase.seededRandomness('fixture'));
+	const b = new RPMutator('random', ReadablePassphrase.seededRandomness('fixture'));
+	assert.equal(a.mutate('the quick brown fox jumps'), b.mutate('the quick brown fox jumps'));
+});
+
+test('copying an RPMutator keeps its randomness source unless another is given', () => {
+	const seeded = new RPMutator('random', ReadablePassphrase.seededRandomness('fixture'));
+	const copy = new RPMutator(seeded);
+	assert.equal(copy.randomness, seeded.randomness);
+	const other = () => 0;
+	assert.equal(new RPMutator(seeded, other).randomness, other);
+});
+
+test('maxAddedLength() is the most characters mutate() can add', () => {
+	assert.equal(new RPMutator().maxAddedLength(), 0);
+	assert.equal(new RPMutator({ upper: ['WholeWord', 2], numbers: ['none'] }).maxAddedLength(), 0);
+	assert.equal(new RPMutator('standard').maxAddedLength(), 2);
+	const random = new RPMutator('random', ReadablePassphrase.seededRandomness('fixture'));
+	for (let i = 0; i < 20; i++) assert.ok(random.mutate('the quick brown fox').length <= 'the quick brown fox'.length + random.maxAddedLength());
+});
+
+test('a mutator with a policy always meets it, even when its own mutations would not', () => {
+	const policy = { require: ['upper', 'digit', 'symbol'], symbols: '!#', forbidden: '0' };
+	const mutators = [new RPMutator({ upper: ['none'], numbers: ['none'], policy }, ReadablePassphrase.seededRandomness('policy')), new RPMutator({ upper: ['random'], numbers: ['random'], policy }, ReadablePassphrase.seededRandomness('policy'))];
+	for (const mutator of mutators) {
+		for (let i = 0; i < 50; i++) {
+			const mutated = mutator.mutate('the quick brown fox');
+			assert.deepEqual(RPMutator.checkPolicy(mutated, policy), [], mutated);
+			assert.ok(mutated.length <= 'the quick brown fox'.length + mutator.maxAddedLength());
+		}
+	}
+});
+
+test('a policy keeps forbidden characters out of the mutations', () => {
+	const mutator = new RPMutator({ upper: ['WholeWord', 4], numbers: ['Anywhere', 5], policy: { forbidden: 'IO123456789' } }, ReadablePassphrase.seededRandomness('forbidden'));
+	for (let i = 0; i < 20; i++) assert.match(mutator.mutate('pink ice on toast'), /^[^IO1-9]+$/);
+	assert.throws(() => new RPMutator({ upper: ['none'], numbers: ['none'], policy: { forbidden: ' ' } }).mutate('pink ice'), /does not meet the policy: forbidden/);
+	assert.equal(new RPMutator({ upper: ['none'], numbers: ['none'], policy: { forbidden: ' ' } }).mutate('pink ice', '-'), 'pink-ice');
+});
+
+test('policies that could never be met are rejected up front', () => {
+	assert.throws(() => new RPMutator({ upper: ['none'], numbers: ['none'], policy: { require: ['Upper'] } }), /Unknown character class in policy: Upper/);
+	assert.throws(() => new RPMutator({ upper: ['none'], numbers: ['none'], policy: { require: ['symbol'], symbols: '!', forbidden: '!' } }), /allows none/);
+	assert.throws(() => new RPMutator({ upper: ['none'], numbers: ['EndOfWord', 1], policy: { forbidden: '0123456789' } }), /forbids every digit/);
+});
+
+test('checkPolicy() lists the rules a string breaks', () => {
+	const policy = { require: ['upper', 'lower', 'digit', 'symbol'], forbidden: ' ' };
+	assert.deepEqual(RPMutator.checkPolicy('Pink-ice9', policy), []);
+	assert.deepEqual(RPMutator.checkPolicy('pink ice', policy), ['upper', 'digit', 'symbol', 'forbidden']);
+	assert.deepEqual(RPMutator.checkPolicy('ÉCLAIR!7', { require: ['upper', 'lower'], symbols: '!' }), ['lower']);
+});
+
+test('symbols are inserted like numbers, from the configured characters', () => {
+	const techniques = {
+		StartOfWord: /^[!?]*[a-z]+$/,
+		EndOfWord: /^[a-z]+[!?]*$/,
+		EndOfPhrase: /^([a-z]+|fox[!?]{2})$/,
+		Anywhere: /^[a-z!?]+$/,
+		random: /^[a-z!?]+$/,
+	};
+	for (const [type, pattern] of Object.entries(techniques)) {
+		const mutator = new RPMutator({ upper: 'none', numbers: 'none', symbols: [type, 2, '!?'] }, ReadablePassphrase.seededRandomness(type));
+		for (let i = 0; i < 10; i++) {
+			const mutated = mutator.mutate('the quick brown fox');
+			mutated.split(' ').forEach((word) => assert.match(word, pattern));
+			assert.equal(mutated.replace(/[!?]/g, ''), 'the quick brown fox');
+			assert.equal(mutated.length, 'the quick brown fox'.length + 2);
+		}
+	}
+});
+
+test('symbols add to the estimated and recorded entropy', () => {
+	const plain = new RPMutator({ upper: 'none', numbers: ['EndOfWord', 1] });
+	const withSymbols = new RPMutator({ upper: 'none', numbers: ['EndOfWord', 1], symbols: ['EndOfWord', 1, '!?#$'] }, ReadablePassphrase.seededRandomness('symbols'));
+	assert.ok(Math.abs(withSymbols.entropy() - plain.entropy() - (Math.log2(9) + 2)) < 1e-9);
+	const log = [];
+	withSymbols.mutate('the quick brown fox', undefined, log);
+	assert.deepEqual(log.filter((entry) => entry.source.startsWith('symbol')), [
+		{ source: 'symbolWord', bits: 2 },
+		{ source: 'symbol', bits: 2 },
+	]);
+	assert.equal(new RPMutator({ upper: 'none', numbers: 'none', symbols: 'EndOfPhrase' }).entropy(), 3 * Math.log2(14));
+});
+
+test('symbols respect a policy', () => {
+	const policy = { require: ['symbol'], symbols: '!', forbidden: '?' };
+	const mutator = new RPMutator({ upper: 'none', numbers: 'none', symbols: ['EndOfPhrase', 3, '!?'], policy }, ReadablePassphrase.seededRandomness('policy'));
+	assert.equal(mutator.mutate('the quick brown fox'), 'the quick brown fox!!!');
+	assert.throws(() => new RPMutator({ upper: 'none', numbers: 'none', symbols: ['EndOfPhrase', 1, '?'], policy }), /none to insert/);
+});
+
+test('a policy limits the symbols inserted and swapped in to its own', () => {
+	const policy = { symbols: '!' };
+	const symbols = new RPMutator({ upper: 'none', numbers: 'none', symbols: ['EndOfPhrase', 5], policy });
+	assert.equal(symbols.symbols.chars, '!');
+	assert.equal(symbols.mutate('pink ice'), 'pink ice!!!!!');
+	const substitute = new RPMutator({ upper: 'none', numbers: 'none', substitute: ['Anywhere', 100], policy });
+	assert.equal(substitute.mutate('seashells'), 's34sh3lls');
+	assert.deepEqual(RPMutator.checkPolicy(substitute.mutate('seashells'), policy), []);
+	assert.throws(() => new RPMutator({ upper: 'none', numbers: 'none', symbols: ['EndOfPhrase', 1, '#$'], policy }), /none to insert/);
+});
+
+test('substitute swaps letters for look-alikes without breaking accented words', () => {
+	const everyLetter = new RPMutator({ upper: 'none', numbers: 'none', substitute: ['Anywhere', 100] });
+	assert.equal(everyLetter.mutate('seashells sold on the shore'), '$34$h3ll$ $0ld 0n th3 $h0r3');
+	assert.equal(everyLetter.mutate('éclairs'), 'écl4ir$');
+	const ends = new RPMutator({ upper: 'none', numbers: 'none', substitute: { type: 'EndOfWord', rate: 100, table: { e: '€' } } });
+	assert.equal(ends.mutate('the eclaire\u0301 are here'), 'th€ eclairé ar€ her€'); // the decomposed "é" is not an "e"
+	const never = new RPMutator({ upper: 'none', numbers: 'none', substitute: ['StartOfWord', 0] });
+	assert.equal(never.mutate('seashells sold on the shore'), 'seashells sold on the shore');
+});
+
+test('substitute swaps capital letters too, eg. after title casing', () => {
+	const everyLetter = new RPMutator({ upper: 'none', numbers: 'none', substitute: ['Anywhere', 100] });
+	assert.equal(everyLetter.mutate('SEASHELLS Sold On The Shore'), '$34$H3LL$ $0ld 0n Th3 $h0r3');
+	const phrase = new ReadablePassphrase('normal', { upper: 'none', numbers: 'none', substitute: ['StartOfWord', 100] }, { casing: 'title', seed: 'aeos' });
+	const words = phrase.toString().split(' ');
+	for (const word of words) assert.doesNotMatch(word, /^[AEOS]/, phrase.toString());
+	assert.ok(words.some((word) => /^[430$]/.test(word)), phrase.toString());
+});
+
+test('substitute records the odds of each swap and estimates its entropy from the table', () => {
+	const mutator = new RPMutator({ upper: 'none', numbers: 'none', substitute: { type: 'StartOfWord', rate: 50, table: { s: '$5' } } }, ReadablePassphrase.seededRandomness('leet'));
+	const log = [];
+	const mutated = mutator.mutate('seashells sold on the shore', undefined, log);
+	const swapped = Array.from(mutated.matchAll(/(^| )[$5]/g)).length;
+	assert.equal(log.filter((entry) => entry.source === 'substitute').length, 3); // one per word starting with 's'
+	assert.equal(log.filter((entry) => entry.source === 'substitution').length, swapped);
+	assert.ok(Math.abs(mutator.entropy() - (9 / 26) * (1 + 0.5)) < 1e-9);
+	assert.throws(() => new RPMutator({ upper: 'none', numbers: 'none', substitute: ['Anywhere', 0.5] }), /whole percentage/);
+});
+
+test('substitute never swaps in a character a policy forbids', () => {
+	const mutator = new RPMutator({ upper: 'none', numbers: 'none', substitute: ['Anywhere', 100], policy: { forbidden: '$' } });
+	assert.equal(mutator.mutate('seashells'), 's34sh3lls');
+});
+
+test('register() adds a named mutator that ReadablePassphrase can use and list', (t) => {
+	t.after(() => RPMutator.unregister('house'));
+	RPMutator.register('house', { upper: ['StartOfWord', 1], numbers: 'none', symbols: ['EndOfPhrase', 1, '!'] });
+	assert.ok(ReadablePassphrase.mutators().includes('house'));
+	assert.match(new ReadablePassphrase('normal', 'house').toString(), /!$/);
+	assert.throws(() => RPMutator.register('house', { upper: 'none' }), /already registered/);
+
+	assert.equal(RPMutator.unregister('house'), true);
+	assert.equal(RPMutator.unregister('house'), false);
+	assert.ok(!ReadablePassphrase.mutators().includes('house'));
+	assert.throws(() => new RPMutator('house'), /Unknown mutator: house/);
+});
+
+test('register() rejects invalid specs up front', () => {
+	assert.throws(() => RPMutator.register('bad', { upper: 'Sideways' }), /Unknown word uppercasing technique: Sideways/);
+	assert.throws(() => RPMutator.register('bad', { numbers: ['Between', 2] }), /Unknown number insertion technique: Between/);
+	assert.throws(() => RPMutator.register('bad', { symbols: 'Middle' }), /Unknown symbol insertion technique: Middle/);
+	assert.throws(() => RPMutator.register('bad', { substitute: 'Everywhere' }), /Unknown letter substitution technique: Everywhere/);
+	assert.throws(() => RPMutator.register('bad', { policy: { require: ['emoji'] } }), /Unknown character class/);
+	assert.throws(() => RPMutator.register('none', { upper: 'WholeWord' }), /Invalid mutator name/);
+	assert.throws(() => RPMutator.register('bad', 'standard'), /must be an object/);
+	assert.ok(!ReadablePassphrase.mutators().includes('bad'));
+});
+
+test('mutators built from one spec object do not share its settings', () => {
+	const spec = { upper: { type: 'WholeWord' }, numbers: 'none' };
+	new RPMutator(spec);
+	assert.deepEqual(spec.upper, { type: 'WholeWord' });
+});
+
+test('replaying the edits mutate() reports onto its input gives its output', () => {
+	const policy = { require: ['upper', 'lower', 'digit', 'symbol'], forbidden: 'E' };
+	const specs = ['standard', 'random', { upper: ['RunOfLetters', 2], numbers: ['StartOrEndOfWord', 3], symbols: ['Anywhere', 2], substitute: ['Anywhere', 60] }, { upper: ['WholeWord', 5], numbers: ['none'], policy }];
+	specs.forEach((spec, s) => {
+		const mutator = new RPMutator(spec, ReadablePassphrase.seededRandomness(`edits${s}`));
+		for (let i = 0; i < 20; i++) {
+			const edits = [];
+			const mutated = mutator.mutate('the seashell is signalling a windpipe', '-', undefined, edits);
+			assert.equal(RPMutator.applyEdits('the seashell is signalling a windpipe', edits, '-'), mutated);
+			assert.equal(RPMutator.describeEdits('the seashell is signalling a windpipe', edits).length, edits.length);
+		}
+	});
+});
+
+test('atWordBoundaries() keeps every change at the start or end of a word', () => {
+	const spec = { upper: ['RunOfLetters', 2], numbers: ['Anywhere', 3], symbols: ['random', 2], substitute: ['Anywhere', 60] };
+	const mutator = RPMutator.atWordBoundaries({ ...spec, randomness: ReadablePassphrase.seededRandomness('boundaries') });
+	assert.deepEqual([mutator.upper.type, mutator.numbers.type, mutator.symbols.type, mutator.substitute.type], ['StartOfWord', 'EndOfWord', 'StartOrEndOfWord', 'EndOfWord']);
+	assert.ok(mutator.entropy() < new RPMutator(spec).entropy());
+	assert.equal(new RPMutator(spec).upper.type, 'RunOfLetters', 'the spec given is left as it was');
+	assert.equal(RPMutator.atWordBoundaries('standard').numbers.type, 'EndOfWord', 'techniques already at a boundary stay');
+
+	for (let i = 0; i < 20; i++) {
+		const edits = [];
+		mutator.mutate('the seashell is signalling a windpipe', undefined, undefined, edits);
+		const words = 'the seashell is signalling a windpipe'.split(' ');
+		edits.forEach((edit) => {
+			const length = Array.from(words[edit.word]).length;
+			const atEnd = edit.removed ? edit.position === length - 1 : edit.position === length;
+			assert.ok(edit.position === 0 || atEnd, JSON.stringify(edit));
+			words[edit.word] = RPMutator.applyEdits(words[edit.word], [{ ...edit, word: 0 }]);
+		});
+	}
+});
+
+test('describeEdits() says what each edit did to its word', () => {
+	const edits = [
+		{ word: 1, type: 'upper', technique: 'WholeWord', position: 0, removed: 'cake', inserted: 'CAKE' },
+		{ word: 1, type: 'number', technique: 'EndOfWord', position: 4, removed: '', inserted: '7' },
+		{ word: 0, type: 'symbol', technique: 'StartOfWord', position: 0, removed: '', inserted: '!' },
+		{ word: 2, type: 'number', technique: 'Anywhere', position: 2, removed: '', inserted: '4' },
+		{ word: 2, type: 'upper', technique: 'Anywhere', position: 0, removed: 'h', inserted: 'H' },
+		{ word: 0, type: 'substitute', technique: 'EndOfWord', position: 3, removed: 'e', inserted: '3' },
+	];
+	assert.deepEqual(RPMutator.describeEdits('the cake hums', edits), ['capitalised CAKE', 'added 7 after CAKE', 'added ! before the', 'added 4 inside hums (hu4ms)', 'capitalised H in Hu4ms', 'swapped e for 3 in !th3']);
+	assert.equal(RPMutator.applyEdits('the cake hums', edits), '!th3 CAKE7 Hu4ms');
+});
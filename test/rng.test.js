@@ -1,6 +1,7 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { randomness } from '../src/rng.js';
+import { randomness, randomInt, randomWeighted, seededRandomness } from '../src/rng.js';
+import { RPRandomFactors } from '../src/index.js';
 
 test('randomness() defaults to [0, 1)', () => {
 	const value = randomness();
@@ -33,3 +34,73 @@ test('falls back to Math.random() with a single warning when crypto is unavailab
 		Object.defineProperty(globalThis, 'crypto', { value: original, configurable: true });
 	}
 });
+
+test('seededRandomness() produces the same sequence for the same seed', () => {
+	const a = seededRandomness('correct horse');
+	const b = seededRandomness('correct horse');
+	for (let i = 0; i < 40; i++) assert.equal(a(1000), b(1000));
+});
+
+test('seededRandomness() produces different sequences for different seeds', () => {
+	const a = seededRandomness('correct horse');
+	const b = seededRandomness('battery staple');
+	const drawsA = Array.from({ length: 8 }, () => a());
+	const drawsB = Array.from({ length: 8 }, () => b());
+	assert.notDeepEqual(drawsA, drawsB);
+});
+
+test('seededRandomness(multiplier) stays within [0, multiplier)', () => {
+	const seeded = seededRandomness(42);
+	for (let i = 0; i < 100; i++) {
+		const value = seeded(7);
+		assert.ok(value >= 0 && value < 7);
+	}
+});
+
+test('a 32-byte seed is used as a raw ChaCha20 key (RFC 8439 keystream)', () => {
+	// key 00 01 02 ... 1f, nonce 0, counter 0: the first keystream word is 0x7d2bfd39
+	const key = Uint8Array.from({ length: 32 }, (_, i) => i);
+	assert.equal(seededRandomness(key)(0x100000000), 0x7d2bfd39);
+});
+
+test('seededRandomness() rejects unsupported seed types', () => {
+	assert.throws(() => seededRandomness({}), TypeError);
+});
+
+// A fake randomness source that returns the given 32-bit values in order, at full resolution
+function scripted(...values) {
+	return (multiplier) => (values.shift() / 0x100000000) * (multiplier || 1);
+}
+
+test('randomInt() rejects draws from the incomplete final block instead of biasing low results', () => {
+	// 2^32 % 3 === 1, so exactly one 32-bit value (the largest) must be rejected for n = 3
+	assert.equal(randomInt(3, scripted(0xffffffff, 5)), 2);
+	assert.equal(randomInt(3, scripted(0xfffffffe)), 0xfffffffe % 3);
+});
+
+test('randomInt() covers every value for small n', () => {
+	const seen = new Set();
+	const seeded = seededRandomness('coverage');
+	for (let i = 0; i < 200; i++) seen.add(randomInt(6, seeded));
+	assert.deepEqual([...seen].sort(), [0, 1, 2, 3, 4, 5]);
+});
+
+test('randomInt() rejects sizes it cannot sample', () => {
+	assert.throws(() => randomInt(0, randomness), RangeError);
+	assert.throws(() => randomInt(2.5, randomness), RangeError);
+});
+
+test('randomWeighted() maps each draw to the index whose weight range contains it', () => {
+	// weights [1, 3] sample randomInt(4): 0 => index 0, 1-3 => index 1
+	assert.equal(randomWeighted([1, 3], scripted(0)), 0);
+	assert.equal(randomWeighted([1, 3], scripted(1)), 1);
+	assert.equal(randomWeighted([1, 3], scripted(3)), 1);
+	assert.equal(randomWeighted([0, 0], scripted(0)), -1);
+});
+
+test('computeFactor([a, b]) is true exactly a out of (a + b) ticks', () => {
+	// [1, 1] samples randomInt(2); the second tick must be false (the old `<=` made it true)
+	assert.equal(RPRandomFactors.computeFactor([1, 1], scripted(0)), true);
+	assert.equal(RPRandomFactors.computeFactor([1, 1], scripted(1)), false);
+	assert.equal(RPRandomFactors.computeFactor([0, 1], scripted(0)), false);
+});
@@ -0,0 +1,203 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReadablePassphrase, RPSentenceTemplate } from '../src/index.js';
+
+const verboseNoun = { type: 'noun', subtype: { common: 1 }, article: { definite: 1, none: 1 }, adjective: [1, 1], preposition: false, number: [1, 3], singular: [1, 1] };
+const verboseVerb = { type: 'verb', subtype: { past: 1, present: 1 }, adverb: false, interrogative: false, intransitive: { noNounClause: 0, preposition: 0 } };
+const packedNoun = ['noun', 1, 0, 0, 5, 4, 4, 0, 2, false, false, false, true];
+
+test('register() adds a template usable by name, in packed or verbose form', (t) => {
+	t.after(() => {
+		RPSentenceTemplate.unregister('houseCollection');
+		RPSentenceTemplate.unregister('house');
+	});
+	RPSentenceTemplate.register('house', [verboseNoun, verboseVerb, packedNoun]);
+	RPSentenceTemplate.register('houseCollection', ['house', 'normal']);
+	assert.ok(ReadablePassphrase.templates().includes('house'));
+	assert.ok(ReadablePassphrase.templates().includes('houseCollection'));
+	assert.ok(Number.isFinite(ReadablePassphrase.entropyOf('house')));
+	for (let i = 0; i < 20; i++) assert.ok(new ReadablePassphrase('houseCollection', undefined, { seed: i }).toString().length > 0);
+
+	assert.throws(() => RPSentenceTemplate.register('house', ['conjunction']), /already registered/);
+	assert.throws(() => RPSentenceTemplate.unregister('house'), /still included in houseCollection/);
+});
+
+test('register() rejects mistakes that would otherwise only fail while generating', () => {
+	const mistakes = [
+		[[['noun', 12, 1, 2, 5, 4, 4, 0, 2, false, false, [1, 5]]], /a packed noun has 13 elements, not 12/],
+		[[{ ...verboseNoun, article: { definite: 1, theArticle: 2 } }], /unknown choice "theArticle"/],
+		[[{ ...verboseNoun, article: { indefinite: 1 } }], /articlePlural must have at least one choice/],
+		[['noun', 'verbb'], /clause 0: subtype is required/],
+		[[verboseNoun, 'verbb'], /clause 1: unknown clause type "verbb"/],
+		[[{ ...verboseVerb, subtype: { past: -1, present: 1 } }], /weight of "past" must be a non-negative number/],
+		[[{ ...verboseVerb, adverb: [0, 0] }], /adverb must be a boolean or a \[ trueWeight, falseWeight \] array/],
+		[[{ ...verboseVerb, adverbb: true }], /unknown verb factor "adverbb"/],
+		[[{ ...verboseVerb, subtype: { past: 0 } }], /subtype must have at least one choice/],
+		[[{ ...verboseNoun, adjectives: 2 }], /give either adjective or adjectives, not both/],
+		[[{ ...verboseNoun, adjective: undefined, adjectives: { 1: 1, two: 1 } }], /adjectives unknown choice "two"/],
+		[[{ ...verboseNoun, adjective: undefined, adjectives: -1 }], /adjectives must be a whole number/],
+		[[verboseNoun, { type: 'relativeClause', subtype: { past: 1 }, adverb: false }, verboseVerb], /clause 1: a relativeClause must come between two nouns/],
+		[[verboseNoun, { type: 'relativeClause', subtype: { past: 1 }, adverb: false, interrogative: true }, verboseNoun], /unknown relativeClause factor "interrogative"/],
+		[[verboseNoun, { ...verboseNoun, type: 'prepositionalPhrase', include: [1, 2] }], /unknown prepositionalPhrase factor "preposition"/],
+		[['normal', 'notATemplate'], /unknown template: notATemplate/],
+		[['normal', 'random'], /includes another collection: random/],
+		[[], /is empty/],
+	];
+	for (const [spec, error] of mistakes) assert.throws(() => RPSentenceTemplate.register('mistake', spec), error);
+	assert.ok(!ReadablePassphrase.templates().includes('mistake'));
+});
+
+test('choices left out of a weighted factor count as weight 0', () => {
+	const template = new RPSentenceTemplate([{ ...verboseNoun }]);
+	assert.ok(Number.isFinite(template.entropy()));
+});
+
+test('toText() prints every predefined template as text that parses back to the same template', () => {
+	for (const name of ReadablePassphrase.templates()) {
+		const template = RPSentenceTemplate.templates[name];
+		if (!(template instanceof RPSentenceTemplate)) continue; // a collection
+		const text = template.toText();
+		const parsed = RPSentenceTemplate.parse(text);
+		assert.equal(parsed.toText(), text);
+		assert.ok(Math.abs(parsed.entropy() - template.entropy()) < 1e-9, name);
+		for (let seed = 0; seed < 5; seed++) {
+			assert.equal(new ReadablePassphrase(parsed, undefined, { seed }).toString(), new ReadablePassphrase(template, undefined, { seed }).toString(), `${name}: ${text}`);
+		}
+	}
+});
+
+test('parse() reads the modifier, weight and default forms', () => {
+	const template = RPSentenceTemplate.parse('[prep?] the|a/-|the [adj 30%] NOUN(common|proper:2, singular 1:3) VERB(past|present, intransitive preposition) adv [question 1:8] NOUN(plural) CONJUNCTION SPEECH');
+	assert.deepEqual(template[0], {
+		type: 'noun',
+		subtype: { common: 1, proper: 2 },
+		preposition: [1, 1],
+		number: false,
+		adjective: [30, 70],
+		singular: [1, 3],
+		articleSingular: { definite: 1, indefinite: 1 },
+		articlePlural: { none: 1, definite: 1 },
+	});
+	assert.deepEqual(template[1], { type: 'verb', subtype: { past: 1, present: 1 }, adverb: true, interrogative: [1, 8], intransitive: { noNounClause: 0, preposition: 1 } });
+	assert.deepEqual(template[2].articlePlural, { definite: 1 });
+	assert.equal(template[2].singular, false);
+	assert.deepEqual([template[3], template[4]], [{ type: 'conjunction' }, { type: 'directSpeech' }]);
+	// equivalent singular/plural articles are merged, and only the plural ones matter for a plural noun
+	assert.equal(template.toText(), '[prep 1:1] -|the|a [adj 30:70] NOUN(common|proper:2, singular 1:3) VERB(past|present, intransitive preposition) adv [question 1:8] the NOUN(plural) CONJUNCTION SPEECH');
+});
+
+test('parse() reads a count of stacked adjectives', () => {
+	const template = RPSentenceTemplate.parse('the [adjs 0:4|1:3|2] NOUN VERB the [adjs 3] NOUN');
+	assert.deepEqual(template[0].adjectives, { 0: 4, 1: 3, 2: 1 });
+	assert.equal(template[0].adjective, undefined);
+	assert.equal(template[2].adjectives, 3);
+	assert.equal(template.toText(), 'the [adjs 0:4|1:3|2] NOUN VERB the [adjs 3] NOUN');
+	assert.ok(template.entropy() > RPSentenceTemplate.parse('the NOUN VERB the [adj?] NOUN').entropy());
+});
+
+test('parse() reads relative clauses', () => {
+	const template = RPSentenceTemplate.parse('the NOUN adv RELATIVE(past|perfect:2) the NOUN VERB the NOUN RELATIVE [adv 1:3] the NOUN');
+	assert.deepEqual(template[1], { type: 'relativeClause', subtype: { past: 1, perfect: 2 }, adverb: true });
+	assert.deepEqual(template[5], { type: 'relativeClause', subtype: { present: 1 }, adverb: [1, 3] });
+	assert.equal(template.toText(), 'the NOUN RELATIVE(past|perfect:2) adv the NOUN VERB the NOUN RELATIVE [adv 1:3] the NOUN');
+});
+
+test('parse() reads prepositional phrases', () => {
+	const template = RPSentenceTemplate.parse('the NOUN VERB the NOUN my [adj?] PHRASE(common|proper, include 30%)');
+	assert.deepEqual(template[3], {
+		type: 'prepositionalPhrase',
+		include: [30, 70],
+		subtype: { common: 1, proper: 1 },
+		number: false,
+		adjective: [1, 1],
+		singular: true,
+		articleSingular: { personalPronoun: 1 },
+		articlePlural: { personalPronoun: 1 },
+	});
+	assert.equal(template.toText(), 'the NOUN VERB the NOUN my [adj 1:1] PHRASE(common|proper, include 30:70)');
+	assert.throws(() => RPSentenceTemplate.parse('the NOUN VERB the NOUN [prep?] the PHRASE'), /unknown prepositionalPhrase factor "preposition"/);
+});
+
+test('parse() reads a modifier on its own as always, and in brackets as optional (half the time unless it says)', () => {
+	const forms = [
+		['adv', true, 'adv'],
+		['[adv]', [1, 1], '[adv 1:1]'],
+		['[adv?]', [1, 1], '[adv 1:1]'],
+		['adv?', [1, 1], '[adv 1:1]'],
+		['[adv 30%]', [30, 70], '[adv 30:70]'],
+		['[adv 1:3]', [1, 3], '[adv 1:3]'],
+	];
+	for (const [modifier, adverb, text] of forms) {
+		const template = RPSentenceTemplate.parse(`the NOUN VERB ${modifier} the NOUN`);
+		assert.deepEqual(template[1].adverb, adverb, modifier);
+		assert.equal(template.toText(), `the NOUN VERB ${text} the NOUN`);
+		assert.deepEqual(RPSentenceTemplate.parse(template.toText()), template, modifier);
+	}
+
+	const example = RPSentenceTemplate.parse('[prep?] the|a [adj 30%] NOUN VERB(past|present) [adv] NOUN');
+	assert.deepEqual(example[0].preposition, [1, 1]);
+	assert.deepEqual(example[0].articleSingular, { definite: 1, indefinite: 1 });
+	assert.deepEqual(example[0].adjective, [30, 70]);
+	assert.deepEqual(example[1].subtype, { past: 1, present: 1 });
+	assert.deepEqual(example[1].adverb, [1, 1]);
+	assert.equal(example[2].type, 'noun');
+	assert.equal(example.toText(), '[prep 1:1] the|a [adj 30:70] NOUN VERB(past|present) [adv 1:1] the|a NOUN');
+	assert.deepEqual(RPSentenceTemplate.parse(example.toText()), example);
+});
+
+test('parse() explains what is wrong with the text', () => {
+	const mistakes = [
+		['[adj?] [adj?] the NOUN', /\[adj\?\] is given twice/],
+		['the NOUN [adv?]', /aren't followed by a VERB/],
+		['the NOUNN', /Unexpected "NOUNN"/],
+		['teh NOUN', /Unknown choice "teh"/],
+		['[adj the NOUN', /Unbalanced brackets/],
+		['the NOUN RELATIVE [question?] the NOUN', /unknown relativeClause factor "interrogative"/],
+		['the [adj?] [adjs 2] NOUN', /either \[adj\] or \[adjs\]/],
+		['the [adjs] NOUN', /Expected a number of adjectives/],
+		['the [adj 3:x] NOUN', /Invalid weight "x"/],
+		['a NOUN(proper|pronoun)', /clause 0: subtype unknown choice "pronoun"/],
+		['a NOUN(plural)', /clause 0: articlePlural must have at least one choice/],
+		['', /is empty/],
+	];
+	for (const [text, error] of mistakes) assert.throws(() => RPSentenceTemplate.parse(text), error, text);
+});
+
+test('register() accepts template text', (t) => {
+	t.after(() => RPSentenceTemplate.unregister('houseText'));
+	RPSentenceTemplate.register('houseText', 'the|a [adj?] NOUN VERB(past|present) the NOUN');
+	assert.equal(RPSentenceTemplate.templates.houseText.toText(), 'the|a [adj 1:1] NOUN VERB(past|present) the NOUN');
+	assert.match(new ReadablePassphrase('houseText').toString(), /^(the|an?) /);
+});
+
+test('templates round-trip through JSON, including after byName()', () => {
+	for (const name of ReadablePassphrase.templates()) {
+		if (!(RPSentenceTemplate.templates[name] instanceof RPSentenceTemplate)) continue; // a collection
+		const template = RPSentenceTemplate.byName(name);
+		const json = JSON.stringify(template);
+		const parsed = RPSentenceTemplate.fromJSON(json);
+		assert.equal(JSON.stringify(parsed), json);
+		assert.equal(parsed.entropy(), template.entropy());
+		assert.equal(new ReadablePassphrase(parsed, undefined, { seed: name }).toString(), new ReadablePassphrase(template, undefined, { seed: name }).toString());
+	}
+	assert.equal(RPSentenceTemplate.fromJSON(JSON.parse(JSON.stringify(RPSentenceTemplate.templates.normal))).toText(), RPSentenceTemplate.templates.normal.toText());
+});
+
+test('toJSON() writes a versioned schema that fromJSON() checks', () => {
+	const json = RPSentenceTemplate.templates.normal.toJSON();
+	assert.equal(json.version, RPSentenceTemplate.JSON_VERSION);
+	assert.equal(json.clauses.length, 3);
+	json.clauses[0].subtype.common = 0;
+	assert.equal(RPSentenceTemplate.templates.normal[0].subtype.common, 12, 'changing the JSON must not change the template');
+
+	assert.throws(() => RPSentenceTemplate.fromJSON({ ...json, version: 99 }), /Unsupported template JSON version: 99/);
+	assert.throws(() => RPSentenceTemplate.fromJSON({ version: 1 }), /clauses array/);
+	assert.throws(() => RPSentenceTemplate.fromJSON({ version: 1, clauses: [{ type: 'verb', subtype: { walked: 1 } }] }), /clause 0: subtype unknown choice "walked"/);
+});
+
+test('constructing a template leaves the clause objects it was given alone', () => {
+	const clause = { ...verboseNoun, article: { definite: 1, none: 1 } };
+	new RPSentenceTemplate([clause]);
+	assert.deepEqual(clause.article, { definite: 1, none: 1 });
+	assert.equal(clause.articleSingular, undefined);
+});